@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// The browser runner: serves the test suite (with the Mocha, Chai and chai-string assets from the node_modules
+// directory, so that no network access is needed), waits for the page to report its results, prints them and exits
+// with the number of failed tests:
+//
+// node browser.js --port 8080 --reference
+//
+// The other flags (like "--url" or "--transport") are passed to the page as query parameters, and read by config.js.
+import { createServer } from "node:http";
+import { readdir, readFile } from "node:fs/promises";
+import { extname, join, normalize } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { config } from "./config.js";
+
+const USAGE = `Usage: node browser.js [options]
+
+Options:
+  --port <port>  the port of the page (default: 8080)
+  --reference    start the reference server on the port of the URL
+
+See the "Test suite" section of the Readme for the other options.`;
+
+const ROOT = fileURLToPath(new URL(".", import.meta.url));
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+};
+
+// the files of the test-suite directory and of the scenarios/ directory, and the browser builds of the dependencies
+function resolveFile(pathname) {
+  const path = normalize(decodeURIComponent(pathname));
+
+  if (path.includes("..") || !CONTENT_TYPES[extname(path)]) {
+    return null;
+  }
+  if (path.startsWith("/node_modules/")) {
+    return /^\/node_modules\/(mocha|chai|chai-string)\/[\w.-]+$/.test(path)
+      ? join(ROOT, path)
+      : null;
+  }
+  return /^\/(scenarios\/)?[\w.-]+$/.test(path) ? join(ROOT, path) : null;
+}
+
+// the list of the scenario files, which cannot be read from the page (see scenarios.js, which rejects the unsupported
+// ones)
+async function serveScenarios(res) {
+  const files = await readdir(join(ROOT, "scenarios"));
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[".json"] });
+  res.end(JSON.stringify(files));
+}
+
+async function serveFile(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (pathname === "/scenarios/") {
+    return serveScenarios(res);
+  }
+
+  const file = resolveFile(pathname === "/" ? "/index.html" : pathname);
+
+  try {
+    const content = file && (await readFile(file));
+    if (content) {
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[extname(file)] });
+      res.end(content);
+      return;
+    }
+  } catch (e) {
+    // not found
+  }
+  res.writeHead(404);
+  res.end();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Starts the HTTP server of the page.
+ *
+ * @return {Promise<{ server, results: Promise<object> }>} the server, and the conformance report sent by the page (see
+ * the "harness" query parameter in index.html)
+ */
+async function startHarness(port) {
+  let onResults;
+  const results = new Promise((resolve) => (onResults = resolve));
+
+  const server = createServer(async (req, res) => {
+    if (req.method === "POST" && req.url === "/results") {
+      onResults(JSON.parse(await readBody(req)));
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === "GET") {
+      await serveFile(req, res);
+    } else {
+      res.writeHead(405);
+      res.end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, resolve);
+  });
+
+  return { server, results };
+}
+
+// the flags which are not handled by this command are passed to the page ("--learn" being sent as "learn=")
+function pageQuery(values, ownOptions) {
+  const query = new URLSearchParams({ harness: "" });
+  for (const [name, value] of Object.entries(values)) {
+    if (!ownOptions.includes(name)) {
+      query.set(name, value === true ? "" : value);
+    }
+  }
+  return query;
+}
+
+function printReport(report) {
+  const tests = report.sections.flatMap((section) => section.tests);
+  const failures = tests.filter((test) => test.state === "failed");
+
+  failures.forEach((test, i) => {
+    console.log(`  ${i + 1}) ${test.title}:\n     ${test.error.message}\n`);
+  });
+
+  const { passed, failed, pending, compliance } = report.summary;
+
+  console.log(`  ${passed} passing`);
+  if (failed > 0) {
+    console.log(`  ${failed} failing`);
+  }
+  if (pending > 0) {
+    console.log(`  ${pending} pending`);
+  }
+  console.log(`  compliance: ${(compliance * 100).toFixed(1)}%`);
+  console.log(`  user agent: ${report.userAgent}\n`);
+}
+
+async function main() {
+  const options = {
+    port: { type: "string", default: "8080" },
+    reference: { type: "boolean" },
+    help: { type: "boolean" },
+  };
+  const { values } = parseArgs({
+    options,
+    // the other flags are passed to the page
+    strict: false,
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let server;
+
+  if (values.reference) {
+    const { startReferenceServer } = await import(
+      "./reference-server/fixture.js"
+    );
+    server = await startReferenceServer();
+  }
+
+  const harness = await startHarness(Number(values.port));
+  const query = pageQuery(values, Object.keys(options));
+
+  console.log(
+    `open http://localhost:${values.port}/?${query} in a browser to run the test suite\n`
+  );
+
+  const report = await harness.results;
+
+  printReport(report);
+
+  harness.server.closeAllConnections();
+  harness.server.close();
+  await server?.close();
+
+  return Math.min(report.summary.failed, 255);
+}
+
+process.exitCode = await main();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// The "socketio-conformance" command, which runs the test suite against a server, optionally spawned by the command
+// itself:
+//
+// socketio-conformance --server-cmd "node server.js" --url http://localhost:3000 --transport websocket --grep connect
+//
+// The other flags of the test suite (like "--protocol" or "--learn") are read from the command line by config.js.
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import Mocha from "mocha";
+import { config } from "./config.js";
+import { ManagedProcess } from "./managed-process.js";
+
+const USAGE = `Usage: socketio-conformance [options]
+
+Options:
+  --url <url>               the URL of the server under test (default: http://localhost:3000)
+  --transport <transports>  the transports over which the Socket.IO tests are run, for example "websocket,polling"
+  --grep <pattern>          only run the tests matching the pattern
+  --server-cmd <command>    a shell command which starts the server under test (with the PORT environment variable)
+  --server-timeout <ms>     the delay for the server to accept the Engine.IO handshake (default: 10000)
+  --reporter <name>         the Mocha reporter (default: spec)
+
+See the "Test suite" section of the Readme for the other options.`;
+
+function sleep(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+async function acceptsHandshake() {
+  try {
+    const response = await fetch(
+      `${config.url}${config.path}?EIO=${config.eio}&transport=polling`
+    );
+    return response.status === 200 && (await response.text()).includes("sid");
+  } catch (e) {
+    return false;
+  }
+}
+
+// wait for the server to accept the Engine.IO handshake
+async function waitForServer(server, timeout) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (server && !server.running) {
+      throw new Error(`the server exited with code ${server.exitCode}`);
+    }
+    if (await acceptsHandshake()) {
+      return;
+    }
+    await sleep(100);
+  }
+
+  throw new Error(
+    `the server did not accept the handshake within ${timeout} ms`
+  );
+}
+
+// append the output of the server during the test, and its exit code if it has crashed, to the error message
+function attachServerLogs(runner, server) {
+  let offset = 0;
+
+  runner.on("test", () => {
+    offset = server.logs.length;
+  });
+
+  runner.on("fail", (test, err) => {
+    const logs = server.logsSince(offset);
+    if (!server.running) {
+      err.message += `\n\nthe server exited with code ${server.exitCode}`;
+    }
+    if (logs) {
+      err.message += `\n\nserver logs:\n${logs}`;
+    }
+  });
+}
+
+function runSuite({ grep, reporter }, server) {
+  const mocha = new Mocha({ grep, reporter });
+
+  mocha.addFile(fileURLToPath(new URL("./test-suite.js", import.meta.url)));
+
+  return mocha.loadFilesAsync().then(
+    () =>
+      new Promise((resolve) => {
+        const runner = mocha.run(resolve);
+        if (server) {
+          attachServerLogs(runner, server);
+        }
+      })
+  );
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      grep: { type: "string" },
+      "server-cmd": { type: "string" },
+      "server-timeout": { type: "string", default: "10000" },
+      reporter: { type: "string", default: "spec" },
+      help: { type: "boolean" },
+    },
+    // the other flags are handled by config.js
+    strict: false,
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const url = new URL(config.url);
+  const server =
+    values["server-cmd"] &&
+    new ManagedProcess(values["server-cmd"], { PORT: url.port || 80 });
+
+  try {
+    await waitForServer(server, Number(values["server-timeout"]));
+  } catch (e) {
+    console.error(`error: ${e.message}`);
+    if (server) {
+      console.error(`\nserver logs:\n${server.logsSince(0)}`);
+      await server.stop();
+    }
+    return 1;
+  }
+
+  const failures = await runSuite(values, server);
+
+  if (server) {
+    await server.stop();
+  }
+
+  return Math.min(failures, 255);
+}
+
+process.exitCode = await main();
@@ -0,0 +1,321 @@
+// The client conformance mode: the client under test (started with the "client-cmd" option) connects to a scripted
+// mock server, which asserts the packets sent by the client and injects the server-side scenarios.
+//
+// mocha client-suite.js --client-cmd "node reference-client/index.js"
+//
+// The client must implement the contract described in the "Test suite" section of the Readme.
+import "./node-imports.js";
+import { config } from "./config.js";
+import { encodePacket, PacketType } from "./codec.js";
+import { sleep } from "./helpers.js";
+import { ManagedProcess } from "./managed-process.js";
+import { MockServer } from "./mock-server.js";
+
+const { expect } = chai;
+
+const { CONNECT, DISCONNECT, EVENT, ACK, CONNECT_ERROR, BINARY_EVENT } =
+  PacketType;
+
+const mock = new MockServer();
+let client;
+
+before(async () => {
+  if (!config.clientCmd) {
+    throw new Error(
+      'the "client-cmd" option is required (for example: --client-cmd "node reference-client/index.js")'
+    );
+  }
+  await mock.listen();
+});
+
+after(() => mock.close());
+
+// a new client for each test, with the URL of the mock server in the URL environment variable
+beforeEach(() => {
+  client = new ManagedProcess(config.clientCmd, { URL: mock.url });
+});
+
+afterEach(async function () {
+  const { err } = this.currentTest;
+
+  if (err) {
+    const logs = client.logsSince(0);
+    if (!client.running) {
+      err.message += `\n\nthe client exited with code ${client.exitCode}`;
+    }
+    if (logs) {
+      err.message += `\n\nclient logs:\n${logs}`;
+    }
+  }
+
+  await client.stop();
+  mock.reset();
+});
+
+// accepts the next session and the connection to the main namespace
+async function acceptConnection(opts) {
+  const session = await mock.accept(opts);
+  const packet = await session.receivePacket();
+
+  expect(packet.type).to.eql(CONNECT);
+
+  session.sendPacket({ type: CONNECT, nsp: "/", data: { sid: "abc" } });
+
+  return session;
+}
+
+// the frames of the upgrade, like ["received", "2probe"]
+function upgradeFrames(session) {
+  return session.frames
+    .filter(({ transport }) => transport === "websocket")
+    .slice(0, 3)
+    .map(({ direction, packet }) => [direction, encodePacket(packet, true)]);
+}
+
+// each suite is tagged with the section of the specification it verifies, like in the test suite of the servers
+describe("Engine.IO upgrade", function () {
+  this.section = "Engine.IO upgrade";
+
+  it("should upgrade from HTTP long-polling to WebSocket with a probe", async function () {
+    const session = await mock.accept();
+
+    if (session.transport === "websocket") {
+      // the client has opened the session over WebSocket directly
+      return this.skip();
+    }
+
+    await session.upgraded;
+
+    expect(upgradeFrames(session)).to.eql([
+      ["received", "2probe"],
+      ["sent", "3probe"],
+      ["received", "5"],
+    ]);
+  });
+
+  it("should only use WebSocket once upgraded", async function () {
+    const session = await acceptConnection();
+
+    if (session.frames[0].transport === "websocket") {
+      return this.skip();
+    }
+
+    await session.upgraded;
+
+    const upgradeTime = session.frames.find(
+      ({ packet }) => packet.type === "upgrade"
+    ).time;
+
+    session.sendPacket({ type: EVENT, nsp: "/", data: ["message", 1] });
+
+    expect(await session.receivePacket()).to.eql({
+      type: EVENT,
+      nsp: "/",
+      data: ["message-back", 1],
+    });
+
+    const transports = session.frames
+      .filter(
+        ({ time, direction }) => direction === "received" && time > upgradeTime
+      )
+      .map(({ transport }) => transport);
+
+    expect(transports).to.not.include("polling");
+  });
+
+  it("should not upgrade when the server does not allow it", async function () {
+    const session = await acceptConnection({ upgrades: [] });
+
+    if (session.frames[0].transport === "websocket") {
+      return this.skip();
+    }
+
+    await sleep(200);
+
+    expect(session.transport).to.eql("polling");
+  });
+});
+
+describe("Engine.IO heartbeat", function () {
+  this.section = "Engine.IO heartbeat";
+
+  it("should respond to a ping packet within pingTimeout", async () => {
+    const session = await acceptConnection({ ping: false });
+
+    const delay = await session.ping();
+
+    expect(delay).to.be.below(mock.opts.pingTimeout);
+  });
+
+  it("should reconnect when the server stops sending ping packets (ping timeout)", async function () {
+    const { pingInterval, pingTimeout } = mock.opts;
+    this.timeout(pingInterval + pingTimeout + 2000);
+
+    const session = await acceptConnection({ ping: false });
+    const next = await mock.accept();
+
+    expect(next.time - session.time).to.be.at.least(pingInterval + pingTimeout);
+  });
+});
+
+describe("Connection to a namespace", function () {
+  this.section = "Connection to a namespace";
+
+  it("should send a CONNECT packet with the auth payload", async () => {
+    const session = await mock.accept();
+
+    expect(await session.receivePacket()).to.eql({
+      type: CONNECT,
+      nsp: "/",
+      data: { token: "123" },
+    });
+  });
+
+  it("should close the session without reconnecting upon CONNECT_ERROR", async () => {
+    const session = await mock.accept();
+
+    await session.receivePacket();
+
+    session.sendPacket({
+      type: CONNECT_ERROR,
+      nsp: "/",
+      data: { message: "Unauthorized" },
+    });
+
+    await session.closed;
+
+    expect(await mock.expectHandshake(500)).to.eql(false);
+  });
+});
+
+describe("Acknowledgement", function () {
+  this.section = "Acknowledgement";
+
+  it("should acknowledge an event with the id of the packet", async () => {
+    const session = await acceptConnection();
+
+    session.sendPacket({
+      type: EVENT,
+      nsp: "/",
+      id: 456,
+      data: ["message-with-ack", 1, "2", { 3: [true] }],
+    });
+
+    expect(await session.receivePacket()).to.eql({
+      type: ACK,
+      nsp: "/",
+      id: 456,
+      data: [1, "2", { 3: [true] }],
+    });
+  });
+
+  it("should use a distinct id for each event expecting an acknowledgement", async () => {
+    const session = await acceptConnection();
+
+    session.sendPacket({ type: EVENT, nsp: "/", data: ["emit-with-ack", 1] });
+    session.sendPacket({ type: EVENT, nsp: "/", data: ["emit-with-ack", 2] });
+
+    const first = await session.receivePacket();
+    const second = await session.receivePacket();
+
+    expect(first).to.include({ type: EVENT });
+    expect(second).to.include({ type: EVENT });
+    expect(first.id).to.be.a("number");
+    expect(second.id).to.be.a("number");
+    expect(first.id).to.not.eql(second.id);
+
+    // the acknowledgements are received in the reverse order
+    session.sendPacket({ type: ACK, nsp: "/", id: second.id, data: ["b"] });
+    session.sendPacket({ type: ACK, nsp: "/", id: first.id, data: ["a"] });
+
+    expect(await session.receivePacket()).to.eql({
+      type: EVENT,
+      nsp: "/",
+      data: ["emit-with-ack", "b"],
+    });
+    expect(await session.receivePacket()).to.eql({
+      type: EVENT,
+      nsp: "/",
+      data: ["emit-with-ack", "a"],
+    });
+  });
+});
+
+describe("Sending and receiving data", function () {
+  this.section = "Sending and receiving data";
+
+  it("should send binary data as attachments", async () => {
+    const session = await acceptConnection();
+
+    session.sendPacket({
+      type: EVENT,
+      nsp: "/",
+      data: ["message", Uint8Array.from([1, 2, 3])],
+    });
+
+    const packet = await session.receivePacket();
+
+    expect(packet.type).to.eql(BINARY_EVENT);
+    expect(packet.data[0]).to.eql("message-back");
+    expect([...Buffer.from(packet.data[1])]).to.eql([1, 2, 3]);
+  });
+});
+
+describe("Disconnection from a namespace", function () {
+  this.section = "Disconnection from a namespace";
+
+  it("should close the session without reconnecting upon DISCONNECT", async () => {
+    const session = await acceptConnection();
+
+    session.sendPacket({ type: DISCONNECT, nsp: "/" });
+
+    await session.closed;
+
+    expect(await mock.expectHandshake(500)).to.eql(false);
+  });
+});
+
+describe("Reconnection", function () {
+  this.section = "Reconnection";
+
+  it("should reconnect when the session is closed by the server", async () => {
+    const session = await acceptConnection();
+
+    session.close();
+
+    const next = await mock.accept();
+
+    expect(await next.receivePacket()).to.eql({
+      type: CONNECT,
+      nsp: "/",
+      data: { token: "123" },
+    });
+  });
+
+  it("should increase the delay between two reconnection attempts", async function () {
+    this.timeout(5000);
+
+    const session = await acceptConnection();
+
+    session.close();
+
+    const closeTime = performance.now();
+    const attempts = [];
+
+    for (let i = 0; i < 3; i++) {
+      attempts.push(await mock.reject());
+    }
+
+    const delays = attempts.map(
+      (time, i) => time - (i === 0 ? closeTime : attempts[i - 1])
+    );
+
+    expect(delays[1]).to.be.above(delays[0]);
+    expect(delays[2]).to.be.above(delays[1]);
+
+    // the client keeps trying, and connects again once the server accepts the session
+    const next = await mock.accept();
+
+    expect((await next.receivePacket()).type).to.eql(CONNECT);
+  });
+});
@@ -0,0 +1,411 @@
+// Encoding and decoding of the Engine.IO and Socket.IO packets, as described in the "Packet encoding" section of the
+// Readme. Binary data is represented as ArrayBuffer or typed arrays, so that the module can be used in both the browser
+// and Node.js.
+
+const ENGINE_PACKET_TYPES = [
+  "open",
+  "close",
+  "ping",
+  "pong",
+  "message",
+  "upgrade",
+  "noop",
+];
+
+const SEPARATOR = "\x1e";
+
+export const PacketType = {
+  CONNECT: 0,
+  DISCONNECT: 1,
+  EVENT: 2,
+  ACK: 3,
+  CONNECT_ERROR: 4,
+  BINARY_EVENT: 5,
+  BINARY_ACK: 6,
+};
+
+export function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+export function toBytes(data) {
+  return ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+}
+
+export function toBase64(data) {
+  const bytes = toBytes(data);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Encodes an Engine.IO packet.
+ *
+ * With the 3rd revision of the protocol, binary data is prefixed by the packet type (as a byte over WebSocket, or as a
+ * character after the "b" prefix with HTTP long-polling).
+ *
+ * @param packet {{ type: string, data?: string|ArrayBuffer|ArrayBufferView }}
+ * @param supportsBinary {boolean} whether binary data can be sent as is (WebSocket) or must be base64-encoded (HTTP long-polling)
+ * @param protocol {3|4} the revision of the Engine.IO protocol
+ * @return {string|ArrayBuffer|ArrayBufferView}
+ */
+export function encodePacket({ type, data }, supportsBinary, protocol = 4) {
+  const typeId = ENGINE_PACKET_TYPES.indexOf(type);
+
+  if (isBinary(data)) {
+    if (protocol === 3) {
+      if (!supportsBinary) {
+        return "b" + typeId + toBase64(data);
+      }
+      const bytes = toBytes(data);
+      const encoded = new Uint8Array(bytes.length + 1);
+      encoded[0] = typeId;
+      encoded.set(bytes, 1);
+      return encoded.buffer;
+    }
+    return supportsBinary ? data : "b" + toBase64(data);
+  }
+  return typeId + (data ?? "");
+}
+
+/**
+ * Decodes an Engine.IO packet. Binary data is always decoded as a "message" packet with the 4th revision of the protocol.
+ *
+ * @param encoded {string|ArrayBuffer|ArrayBufferView}
+ * @param protocol {3|4} the revision of the Engine.IO protocol
+ * @return {{ type: string, data?: string|ArrayBuffer|ArrayBufferView }} the packet, with the "error" type if it is invalid
+ */
+export function decodePacket(encoded, protocol = 4) {
+  const error = { type: "error", data: "parser error" };
+
+  if (typeof encoded !== "string") {
+    if (protocol === 3) {
+      const bytes = toBytes(encoded);
+      const type = ENGINE_PACKET_TYPES[bytes[0]];
+      return type ? { type, data: bytes.slice(1).buffer } : error;
+    }
+    return { type: "message", data: encoded };
+  }
+  if (encoded.startsWith("b")) {
+    const type =
+      protocol === 3 ? ENGINE_PACKET_TYPES[encoded.charAt(1)] : "message";
+    try {
+      return type
+        ? { type, data: fromBase64(encoded.substring(protocol === 3 ? 2 : 1)) }
+        : error;
+    } catch (e) {
+      return error;
+    }
+  }
+  const type = ENGINE_PACKET_TYPES[encoded.charAt(0)];
+  if (type === undefined) {
+    return error;
+  }
+  return encoded.length > 1 ? { type, data: encoded.substring(1) } : { type };
+}
+
+/**
+ * Concatenates several encoded Engine.IO packets in a single HTTP long-polling payload.
+ *
+ * The packets are separated by a record separator ("\x1e"), or prefixed by their length ("<length>:<packet>") with the
+ * 3rd revision of the protocol.
+ *
+ * @param encodedPackets {string[]}
+ */
+export function joinPayload(encodedPackets, protocol = 4) {
+  if (protocol === 3) {
+    return encodedPackets
+      .map((packet) => `${packet.length}:${packet}`)
+      .join("");
+  }
+  return encodedPackets.join(SEPARATOR);
+}
+
+/**
+ * Encodes several Engine.IO packets in a single HTTP long-polling payload.
+ */
+export function encodePayload(packets, protocol = 4) {
+  return joinPayload(
+    packets.map((packet) => encodePacket(packet, false, protocol)),
+    protocol
+  );
+}
+
+/**
+ * Decodes an HTTP long-polling payload.
+ */
+export function decodePayload(payload, protocol = 4) {
+  if (protocol === 4) {
+    return payload.split(SEPARATOR).map((packet) => decodePacket(packet));
+  }
+
+  const packets = [];
+  let i = 0;
+
+  while (i < payload.length) {
+    const colon = payload.indexOf(":", i);
+    const length = payload.substring(i, colon);
+
+    if (colon === -1 || !/^\d+$/.test(length)) {
+      return [{ type: "error", data: "parser error" }];
+    }
+
+    const start = colon + 1;
+    const end = start + Number(length);
+
+    if (end > payload.length) {
+      return [{ type: "error", data: "parser error" }];
+    }
+
+    packets.push(decodePacket(payload.substring(start, end), 3));
+    i = end;
+  }
+
+  return packets;
+}
+
+function hasBinary(value) {
+  if (isBinary(value)) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.some(hasBinary);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.values(value).some(hasBinary);
+  }
+  return false;
+}
+
+function isObject(value) {
+  return Object.prototype.toString.call(value) === "[object Object]";
+}
+
+function deconstruct(value, attachments) {
+  if (isBinary(value)) {
+    attachments.push(value);
+    return { _placeholder: true, num: attachments.length - 1 };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => deconstruct(item, attachments));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        deconstruct(item, attachments),
+      ])
+    );
+  }
+  return value;
+}
+
+function reconstruct(value, attachments) {
+  if (Array.isArray(value)) {
+    return value.map((item) => reconstruct(item, attachments));
+  }
+  if (isObject(value)) {
+    if (value._placeholder === true) {
+      if (
+        !Number.isInteger(value.num) ||
+        value.num < 0 ||
+        value.num >= attachments.length
+      ) {
+        throw new Error("illegal attachments");
+      }
+      return attachments[value.num];
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        reconstruct(item, attachments),
+      ])
+    );
+  }
+  return value;
+}
+
+export function isPayloadValid(type, data) {
+  switch (type) {
+    case PacketType.CONNECT:
+      return data === undefined || isObject(data);
+    case PacketType.DISCONNECT:
+      return data === undefined;
+    case PacketType.CONNECT_ERROR:
+      return typeof data === "string" || isObject(data);
+    case PacketType.EVENT:
+    case PacketType.BINARY_EVENT:
+      return (
+        Array.isArray(data) && data.length > 0 && typeof data[0] === "string"
+      );
+    case PacketType.ACK:
+    case PacketType.BINARY_ACK:
+      return Array.isArray(data);
+  }
+}
+
+function isBinaryType(type) {
+  return type === PacketType.BINARY_EVENT || type === PacketType.BINARY_ACK;
+}
+
+/**
+ * Encodes a Socket.IO packet. EVENT and ACK packets containing binary data are sent as BINARY_EVENT and BINARY_ACK.
+ *
+ * @param packet {{ type: number, nsp?: string, id?: number, data?: any }}
+ * @return {Array<string|ArrayBuffer|ArrayBufferView>} the string packet, followed by the binary attachments
+ */
+export function encode(packet) {
+  let { type, nsp, id, data } = packet;
+  const attachments = [];
+
+  if (
+    (type === PacketType.EVENT || type === PacketType.ACK) &&
+    hasBinary(data)
+  ) {
+    type =
+      type === PacketType.EVENT
+        ? PacketType.BINARY_EVENT
+        : PacketType.BINARY_ACK;
+  }
+
+  let str = String(type);
+
+  if (isBinaryType(type)) {
+    data = deconstruct(data, attachments);
+    str += attachments.length + "-";
+  }
+  if (nsp && nsp !== "/") {
+    str += nsp + ",";
+  }
+  if (id !== undefined) {
+    str += id;
+  }
+  if (data !== undefined) {
+    str += JSON.stringify(data);
+  }
+
+  return [str, ...attachments];
+}
+
+function decodeString(str) {
+  const type = Number(str.charAt(0));
+  if (!Object.values(PacketType).includes(type)) {
+    throw new Error("unknown packet type");
+  }
+
+  const packet = { type, nsp: "/" };
+  let i = 1;
+
+  if (isBinaryType(type)) {
+    const end = str.indexOf("-", i);
+    const attachments = str.substring(i, end);
+    if (end === -1 || !/^\d+$/.test(attachments)) {
+      throw new Error("illegal attachments");
+    }
+    packet.attachments = Number(attachments);
+    i = end + 1;
+  }
+
+  if (str.charAt(i) === "/") {
+    const end = str.indexOf(",", i);
+    packet.nsp = str.substring(i, end === -1 ? str.length : end);
+    i = end === -1 ? str.length : end + 1;
+  }
+
+  const id = /^\d+/.exec(str.substring(i));
+  if (id) {
+    packet.id = Number(id[0]);
+    if (!Number.isSafeInteger(packet.id)) {
+      throw new Error("invalid ack id");
+    }
+    i += id[0].length;
+  }
+
+  if (i < str.length) {
+    try {
+      packet.data = JSON.parse(str.substring(i));
+    } catch (e) {
+      throw new Error("invalid payload");
+    }
+  }
+
+  if (!isPayloadValid(type, packet.data)) {
+    throw new Error("invalid payload");
+  }
+
+  return packet;
+}
+
+/**
+ * Decodes a Socket.IO packet without binary attachments.
+ *
+ * @throws Error if the packet is invalid
+ */
+export function decode(str) {
+  const packet = decodeString(str);
+  if (packet.attachments > 0) {
+    throw new Error("illegal attachments");
+  }
+  delete packet.attachments;
+  return packet;
+}
+
+/**
+ * Decodes Socket.IO packets, one Engine.IO message at a time.
+ */
+export class Decoder {
+  // the BINARY_EVENT or BINARY_ACK packet waiting for its attachments
+  reconstructing = null;
+  buffers = [];
+
+  /**
+   * @param chunk {string|ArrayBuffer|ArrayBufferView} the content of an Engine.IO message
+   * @return the decoded packet, or null if more binary attachments are expected
+   * @throws Error if the content is invalid
+   */
+  add(chunk) {
+    if (typeof chunk === "string") {
+      if (this.reconstructing) {
+        throw new Error("got plaintext data when reconstructing a packet");
+      }
+      const packet = decodeString(chunk);
+      if (packet.attachments > 0) {
+        this.reconstructing = packet;
+        this.buffers = [];
+        return null;
+      }
+      delete packet.attachments;
+      return packet;
+    }
+
+    if (!this.reconstructing) {
+      throw new Error("got binary data when not reconstructing a packet");
+    }
+
+    this.buffers.push(chunk);
+
+    if (this.buffers.length < this.reconstructing.attachments) {
+      return null;
+    }
+
+    const packet = this.reconstructing;
+    this.reconstructing = null;
+    packet.data = reconstruct(packet.data, this.buffers);
+    delete packet.attachments;
+    return packet;
+  }
+}
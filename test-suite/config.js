@@ -0,0 +1,261 @@
+import { PARSERS } from "./parsers.js";
+
+const isNodejs = typeof window === "undefined";
+
+const DEFAULTS = {
+  url: "http://localhost:3000",
+  path: "/socket.io/",
+  pingInterval: 300,
+  pingTimeout: 200,
+  maxPayload: 1000000,
+  learn: false,
+  // whether the server implements the optional dynamic namespaces of the contract
+  dynamicNamespaces: false,
+  // whether the server closes the Engine.IO session once the client is disconnected from all namespaces
+  closeOnLastNamespace: false,
+  // the value of the "Access-Control-Allow-Origin" header expected from the server, "*" or a given origin which is then
+  // sent by the tests (the CORS tests are skipped if null)
+  corsOrigin: "*",
+  // whether the server is expected to allow credentials ("Access-Control-Allow-Credentials" header)
+  corsCredentials: false,
+  // the name of the sticky-session cookie set by the server in the handshake response (the tests are skipped if null)
+  cookie: null,
+  // the path of a server with connection state recovery enabled, on the same host (the tests are skipped if null)
+  recoveryPath: null,
+  // the command which starts the client under test, in the client conformance mode (see client-suite.js)
+  clientCmd: null,
+  protocol: 5,
+  // the parser used by the server, one of the keys of PARSERS
+  parser: "json",
+  transports: ["websocket", "polling", "upgrade"],
+  // the directory where the transcripts of the tests are saved (Node.js only)
+  transcripts: null,
+  // the delay after which a wait for a packet fails, in ms (by default a bit more than pingInterval + pingTimeout)
+  waitTimeout: null,
+  // a new seed for each run, unless explicitly provided to reproduce a failure
+  seed: Math.floor(Math.random() * 2 ** 32),
+};
+
+// the values that are announced by the server in the Engine.IO handshake, and which can thus be learned
+export const HANDSHAKE_KEYS = ["pingInterval", "pingTimeout", "maxPayload"];
+
+const OPTIONS = {
+  url: { env: "SIO_URL", flag: "url", parse: String },
+  path: { env: "SIO_PATH", flag: "path", parse: normalizePath },
+  pingInterval: {
+    env: "SIO_PING_INTERVAL",
+    flag: "ping-interval",
+    parse: parseInteger,
+  },
+  pingTimeout: {
+    env: "SIO_PING_TIMEOUT",
+    flag: "ping-timeout",
+    parse: parseInteger,
+  },
+  maxPayload: {
+    env: "SIO_MAX_PAYLOAD",
+    flag: "max-payload",
+    parse: parseInteger,
+  },
+  learn: { env: "SIO_LEARN", flag: "learn", parse: parseBoolean },
+  dynamicNamespaces: {
+    env: "SIO_DYNAMIC_NAMESPACES",
+    flag: "dynamic-namespaces",
+    parse: parseBoolean,
+  },
+  closeOnLastNamespace: {
+    env: "SIO_CLOSE_ON_LAST_NAMESPACE",
+    flag: "close-on-last-namespace",
+    parse: parseBoolean,
+  },
+  corsOrigin: {
+    env: "SIO_CORS_ORIGIN",
+    flag: "cors-origin",
+    parse: parseCorsOrigin,
+  },
+  corsCredentials: {
+    env: "SIO_CORS_CREDENTIALS",
+    flag: "cors-credentials",
+    parse: parseBoolean,
+  },
+  cookie: { env: "SIO_COOKIE", flag: "cookie", parse: String },
+  recoveryPath: {
+    env: "SIO_RECOVERY_PATH",
+    flag: "recovery-path",
+    parse: normalizePath,
+  },
+  clientCmd: { env: "SIO_CLIENT_CMD", flag: "client-cmd", parse: String },
+  protocol: { env: "SIO_PROTOCOL", flag: "protocol", parse: parseProtocol },
+  parser: { env: "SIO_PARSER", flag: "parser", parse: parseParser },
+  seed: { env: "SIO_SEED", flag: "seed", parse: parseInteger },
+  transcripts: { env: "SIO_TRANSCRIPTS", flag: "transcripts", parse: String },
+  waitTimeout: {
+    env: "SIO_WAIT_TIMEOUT",
+    flag: "wait-timeout",
+    parse: parseInteger,
+  },
+  transports: {
+    env: "SIO_TRANSPORT",
+    flag: "transport",
+    parse: parseTransports,
+  },
+};
+
+function normalizePath(value) {
+  let path = value.startsWith("/") ? value : `/${value}`;
+  return path.endsWith("/") ? path : `${path}/`;
+}
+
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`invalid value for "${name}": ${value}`);
+  }
+  return number;
+}
+
+// the 4th revision of the Socket.IO protocol (Socket.IO v1 and v2) is built on top of the 3rd revision of Engine.IO
+function parseProtocol(value, name) {
+  if (value !== "4" && value !== "5") {
+    throw new Error(`invalid value for "${name}": ${value} (expected 4 or 5)`);
+  }
+  return Number(value);
+}
+
+// "*", an origin like "https://example.com", or "none" if the server does not support CORS
+function parseCorsOrigin(value, name) {
+  if (value === "none") {
+    return null;
+  }
+  if (value !== "*" && !/^https?:\/\/[^/]+$/.test(value)) {
+    throw new Error(`invalid value for "${name}": ${value}`);
+  }
+  return value;
+}
+
+function parseParser(value, name) {
+  if (!Object.hasOwn(PARSERS, value)) {
+    throw new Error(
+      `invalid value for "${name}": ${value} (expected one of ${Object.keys(
+        PARSERS
+      )})`
+    );
+  }
+  return value;
+}
+
+// "websocket,polling"
+function parseTransports(value, name) {
+  const transports = value.split(",").map((transport) => transport.trim());
+  const expected = DEFAULTS.transports;
+  for (const transport of transports) {
+    if (!expected.includes(transport)) {
+      throw new Error(
+        `invalid value for "${name}": ${transport} (expected one of ${expected})`
+      );
+    }
+  }
+  return transports;
+}
+
+function parseBoolean(value, name) {
+  if (value === "" || value === "true" || value === "1") {
+    return true;
+  }
+  if (value === "false" || value === "0") {
+    return false;
+  }
+  throw new Error(`invalid value for "${name}": ${value}`);
+}
+
+// the flags of the boolean options, which never take the next argument as their value (like in
+// "mocha --learn test-suite.js")
+const BOOLEAN_FLAGS = Object.values(OPTIONS)
+  .filter((option) => option.parse === parseBoolean)
+  .map((option) => option.flag);
+
+/**
+ * Reads the command-line flags: "--ping-interval=300" or "--ping-interval 300", "--learn" being a shorthand for
+ * "--learn=true".
+ *
+ * @return {Map<string, string>}
+ */
+export function readFlags(argv) {
+  const flags = new Map();
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      continue;
+    }
+    const [, name, value] = match;
+    if (value !== undefined) {
+      flags.set(name, value);
+    } else if (
+      !BOOLEAN_FLAGS.includes(name) &&
+      argv[i + 1] !== undefined &&
+      !argv[i + 1].startsWith("--")
+    ) {
+      flags.set(name, argv[++i]);
+    } else {
+      flags.set(name, "");
+    }
+  }
+  return flags;
+}
+
+function readSources() {
+  if (isNodejs) {
+    const flags = readFlags(process.argv.slice(2));
+    return (option) =>
+      flags.has(option.flag) ? flags.get(option.flag) : process.env[option.env];
+  }
+  const params = new URLSearchParams(location.search);
+  return (option) =>
+    params.has(option.flag) ? params.get(option.flag) : undefined;
+}
+
+function loadConfig() {
+  const read = readSources();
+  const config = {};
+
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    const value = read(option);
+    if (value !== undefined) {
+      config[key] = option.parse(value, option.flag);
+    }
+  }
+
+  const learn = config.learn ?? DEFAULTS.learn;
+
+  for (const [key, value] of Object.entries(DEFAULTS)) {
+    if (key in config) {
+      continue;
+    }
+    // in "learn" mode, the handshake values that were not explicitly provided are taken from the first handshake
+    config[key] = learn && HANDSHAKE_KEYS.includes(key) ? undefined : value;
+  }
+
+  config.url = config.url.replace(/\/$/, "");
+  config.eio = config.protocol === 5 ? 4 : 3;
+
+  if (config.protocol === 4 && config.parser !== "json") {
+    throw new Error(
+      `the "${config.parser}" parser requires the 5th revision of the protocol`
+    );
+  }
+
+  if (config.eio === 3) {
+    // not included in the handshake of the 3rd revision of the Engine.IO protocol
+    config.maxPayload = undefined;
+  }
+
+  return config;
+}
+
+/**
+ * The configuration of the test suite, read from:
+ *
+ * - the environment variables (`SIO_URL=http://localhost:4000`) or the command-line flags (`--url=http://localhost:4000`) in Node.js
+ * - the query string of the page (`index.html?url=http://localhost:4000`) in a browser
+ */
+export const config = loadConfig();
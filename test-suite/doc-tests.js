@@ -0,0 +1,282 @@
+// The doc-tests, which check the wire examples of the Readme (see docs.js): the examples of the "Packet encoding"
+// section are encoded and decoded with the codec of the test suite, and the "Sample session" is replayed against the
+// server under test, which must implement the contract described in the "Test suite" section.
+//
+// mocha --require reference-server/fixture.js doc-tests.js
+import "./node-imports.js";
+import { readFileSync } from "node:fs";
+import { config } from "./config.js";
+import {
+  decodePayload,
+  Decoder,
+  encode,
+  encodePacket,
+  isBinary,
+  toBytes,
+} from "./codec.js";
+import { extractPacketExamples, extractSampleSession } from "./docs.js";
+import { waitFor } from "./transports.js";
+
+const { expect } = chai;
+
+const README = readFileSync(new URL("../Readme.md", import.meta.url), "utf8");
+
+// the sample session is written with the 5th revision of the protocol and the default parser
+const itSession =
+  config.protocol === 5 && config.parser === "json" ? it : it.skip;
+
+// the values which depend on the session or on the configuration of the server, of which only the type is compared
+const VARIABLE_KEYS = [
+  "sid",
+  "pid",
+  "pingInterval",
+  "pingTimeout",
+  "maxPayload",
+];
+
+// the binary attachment of the acknowledgement of the sample session, whose content is not documented
+const ATTACHMENT = Uint8Array.from([1, 2, 3, 4]);
+
+// the frames of the sample session which depend on the application, mapped to the contract of the test suite (the
+// namespaces being first mapped to the "/custom" one): the event emitted by the server is the "auth" event emitted upon
+// connection, and the acknowledgement with a binary attachment is obtained by sending one to the "message-with-ack"
+// handler
+const CONTRACT_FRAMES = {
+  '42["hey","Jude"]': ['42["auth",{}]'],
+  '42/custom,1["tellme"]': [
+    '451-/custom,1["message-with-ack",{"_placeholder":true,"num":0}]',
+    ATTACHMENT,
+  ],
+  "<binary>": [ATTACHMENT],
+};
+
+/**
+ * Maps a frame of the sample session to the frames of the contract of the test suite.
+ *
+ * @return {Array<string|Uint8Array>}
+ */
+function toContract(data) {
+  if (typeof data !== "string") {
+    return [data];
+  }
+  const mapped = data.replace(/^(4\d*-?)\/admin,/, "$1/custom,");
+  return CONTRACT_FRAMES[mapped] ?? [mapped];
+}
+
+// the "auth" event which the server of the test suite emits upon each connection, skipped when it is not documented
+function isAuthEvent(data) {
+  return typeof data === "string" && /^42(\/[\w-]+,)?\["auth",/.test(data);
+}
+
+// binary values are compared as arrays of bytes
+function normalize(value) {
+  if (isBinary(value)) {
+    return [...toBytes(value)];
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, normalize(item)])
+    );
+  }
+  return value;
+}
+
+// the documented value, with the variable values replaced by the actual ones when they have the same type
+function withVariables(expected, actual) {
+  if (
+    expected === null ||
+    typeof expected !== "object" ||
+    actual === null ||
+    typeof actual !== "object"
+  ) {
+    return expected;
+  }
+  if (Array.isArray(expected)) {
+    return expected.map((item, i) => withVariables(item, actual[i]));
+  }
+  return Object.fromEntries(
+    Object.entries(expected).map(([key, value]) => [
+      key,
+      VARIABLE_KEYS.includes(key) && typeof value === typeof actual[key]
+        ? actual[key]
+        : withVariables(value, actual[key]),
+    ])
+  );
+}
+
+// compares an Engine.IO packet received from the server (in its WebSocket form) with the documented one
+function expectFrame(actual, expected) {
+  if (isBinary(expected)) {
+    expect(isBinary(actual), "binary frame").to.eql(true);
+    expect(normalize(actual)).to.eql(normalize(expected));
+    return;
+  }
+
+  expect(actual).to.be.a("string");
+
+  // the JSON content, like the Engine.IO handshake or the payload of a Socket.IO packet
+  const start = expected.search(/[[{]/);
+
+  if (start === -1) {
+    expect(actual).to.eql(expected);
+    return;
+  }
+
+  expect(actual.slice(0, start)).to.eql(expected.slice(0, start));
+
+  const value = JSON.parse(actual.slice(start));
+
+  expect(value).to.eql(withVariables(JSON.parse(expected.slice(start)), value));
+}
+
+function expectResponse(response, step) {
+  expect(response.status).to.eql(step.status);
+
+  for (const [name, value] of Object.entries(step.responseHeaders)) {
+    expect(response.headers.get(name)?.toLowerCase(), name).to.eql(
+      value.toLowerCase()
+    );
+  }
+}
+
+/**
+ * Replays the steps of the sample session. The packets of the server must be received in the documented order, the
+ * noop packets and the ping packets which are not part of the session being skipped (the latter being answered).
+ */
+async function replaySession(steps) {
+  // the packets received from the server which are not matched yet
+  const received = [];
+  // the documented session ID and the actual one
+  let sids = null;
+
+  const url = (path, protocol = "http") => {
+    const resolved = `${config.url}${config.path}${path.replace(
+      /^\/socket\.io\//,
+      ""
+    )}`.replace("http", protocol);
+    return sids ? resolved.replace(sids[0], sids[1]) : resolved;
+  };
+
+  const next = async (expected, receive, pong) => {
+    while (true) {
+      if (received.length === 0) {
+        received.push(...(await receive()));
+        continue;
+      }
+      const data = received.shift();
+      if (data === "6") {
+        continue;
+      }
+      if (data === "2" && expected !== "2") {
+        await pong();
+        continue;
+      }
+      if (isAuthEvent(data) && !isAuthEvent(expected)) {
+        continue;
+      }
+      return data;
+    }
+  };
+
+  for (const step of steps) {
+    if (step.method === "POST") {
+      const response = await fetch(url(step.path), {
+        method: "post",
+        headers: step.requestHeaders,
+        body: step.requestBody,
+      });
+
+      // the Content-Type of the "ok" response depends on the server
+      expect(response.status).to.eql(step.status);
+      if (step.responseBody) {
+        expect(await response.text()).to.eql(step.responseBody);
+      }
+    } else if (step.status === 101) {
+      const socket = new WebSocket(url(step.path, "ws"));
+
+      await waitFor(socket, "open");
+
+      const receive = async () => [(await waitFor(socket, "message")).data];
+      const pong = () => socket.send("3");
+
+      for (const { direction, data } of step.frames) {
+        for (const frame of toContract(data)) {
+          if (direction === "sent") {
+            socket.send(frame);
+          } else {
+            expectFrame(await next(frame, receive, pong), frame);
+          }
+        }
+      }
+
+      socket.close();
+    } else {
+      let documented = true;
+
+      const receive = async () => {
+        const response = await fetch(url(step.path), {
+          headers: step.requestHeaders,
+        });
+
+        // the following requests are only needed if the server splits the packets over several responses
+        if (documented) {
+          expectResponse(response, step);
+          documented = false;
+        }
+
+        return decodePayload(await response.text()).map((packet) =>
+          encodePacket(packet, true)
+        );
+      };
+      const pong = () => fetch(url(step.path), { method: "post", body: "3" });
+
+      for (const packet of decodePayload(step.responseBody)) {
+        const [expected] = toContract(encodePacket(packet, true));
+        const actual = await next(expected, receive, pong);
+
+        expectFrame(actual, expected);
+
+        if (packet.type === "open") {
+          sids = [JSON.parse(packet.data).sid, JSON.parse(actual.slice(1)).sid];
+        }
+      }
+    }
+  }
+}
+
+describe("Packet encoding examples", function () {
+  this.section = "Packet encoding";
+
+  for (const { title, packet, encoded } of extractPacketExamples(README)) {
+    describe(title, () => {
+      it("should be encoded as documented", () => {
+        expect(normalize(encode(packet))).to.eql(normalize(encoded));
+      });
+
+      it("should be decoded as documented", () => {
+        const decoder = new Decoder();
+        let decoded = null;
+
+        for (const chunk of encoded) {
+          decoded = decoder.add(chunk);
+        }
+
+        expect(normalize(decoded)).to.eql(normalize(packet));
+      });
+    });
+  }
+});
+
+describe("Sample session", function () {
+  this.section = "Sample session";
+
+  itSession("should be replayed as documented", async function () {
+    // the session ends with a heartbeat
+    this.timeout(config.pingInterval + 2000);
+
+    await replaySession(extractSampleSession(README));
+  });
+});
@@ -0,0 +1,229 @@
+// Extraction of the wire examples of the Readme, which are checked by the doc-tests (see doc-tests.js):
+//
+// - the "Packet encoding > Examples" section, as pairs of packets (`{ type: EVENT, namespace: "/", data: ["foo"] }`) and
+// encoded forms (`2["foo"]`, followed by the binary attachments)
+// - the "Sample session" section, as a sequence of HTTP requests and WebSocket frames
+import { PacketType } from "./codec.js";
+
+// `<Buffer <01 02 03 04>>`
+const BUFFER_REGEX = /<Buffer <([0-9a-f ]*)>>/g;
+
+/**
+ * Parses the content of the `<Buffer <01 02 03 04>>` notation (the hexadecimal bytes), which is also used by the
+ * scenarios (see scenarios.js).
+ *
+ * @return {Uint8Array}
+ */
+export function parseBuffer(hex) {
+  return Uint8Array.from(hex.split(" ").filter(Boolean), (byte) =>
+    parseInt(byte, 16)
+  );
+}
+
+// the lines between the given heading and the next heading of the same or of a higher level
+function section(markdown, heading) {
+  const lines = markdown.split("\n");
+  const level = heading.indexOf(" ");
+  const start = lines.indexOf(heading);
+
+  if (start === -1) {
+    throw new Error(`section not found: ${heading}`);
+  }
+
+  const end = lines.findIndex(
+    (line, i) => i > start && /^#+ /.test(line) && line.indexOf(" ") <= level
+  );
+
+  return lines.slice(start + 1, end === -1 ? lines.length : end);
+}
+
+// the code blocks of the given lines, each with the non-empty lines which precede it
+function codeBlocks(lines) {
+  const blocks = [];
+  let context = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("```")) {
+      if (lines[i].trim()) {
+        context.push(lines[i]);
+      }
+      continue;
+    }
+    const end = lines.indexOf("```", i + 1);
+    blocks.push({ context, lines: lines.slice(i + 1, end) });
+    context = [];
+    i = end;
+  }
+
+  return blocks;
+}
+
+/**
+ * Parses a packet in the notation of the Readme, like `{ type: BINARY_EVENT, namespace: "/", data: ["baz", <Buffer <01>>] }`.
+ *
+ * @return {{ type: number, nsp: string, id?: number, data?: any }}
+ */
+export function parsePacket(notation) {
+  const json = notation
+    .replace(BUFFER_REGEX, (_, hex) => JSON.stringify({ $buffer: hex }))
+    .replace(/([{,]\s*)(\w+):/g, '$1"$2":')
+    .replace(/"type":\s*([A-Z_]+)/, (_, name) => {
+      if (!(name in PacketType)) {
+        throw new Error(`unknown packet type: ${name}`);
+      }
+      return `"type":${PacketType[name]}`;
+    });
+
+  const { namespace, ...packet } = JSON.parse(json, (key, value) =>
+    value?.$buffer !== undefined ? parseBuffer(value.$buffer) : value
+  );
+
+  return { ...packet, nsp: namespace };
+}
+
+/**
+ * Extracts the examples of the "Packet encoding > Examples" section.
+ *
+ * @return {Array<{ title: string, packet: object, encoded: Array<string|Uint8Array> }>} the encoded form being the
+ * string packet followed by the binary attachments, like the result of `encode()`
+ */
+export function extractPacketExamples(markdown) {
+  const lines = section(markdown, "### Examples");
+  const examples = [];
+  let heading = "";
+  let packet = null;
+
+  for (const { context, lines: content } of codeBlocks(lines)) {
+    heading = context.findLast((line) => line.startsWith("#### ")) ?? heading;
+
+    if (context.at(-1) !== "*Encoded*") {
+      packet = { notation: content.join(" "), context };
+      continue;
+    }
+
+    const [encoded, ...rest] = content.filter((line) => line.trim());
+    const attachments = rest.map((line) => {
+      const match = /^\+ <Buffer <([0-9a-f ]*)>>$/.exec(line);
+      if (!match) {
+        throw new Error(`invalid attachment: ${line}`);
+      }
+      return parseBuffer(match[1]);
+    });
+    // "- with a custom namespace"
+    const bullet = packet.context.findLast((line) => line.startsWith("- "));
+
+    examples.push({
+      title: `${heading.slice(5)} ${bullet.slice(2)}`,
+      packet: parsePacket(packet.notation),
+      encoded: [encoded, ...attachments],
+    });
+  }
+
+  return examples;
+}
+
+// "42["hello"]\x1e42["world"]" => the content with the actual separator
+function unescape(line) {
+  return line.replace(/\\x1e/g, "\x1e");
+}
+
+// the body of a POST request may also be written after the response headers, the `ok` response being then omitted
+function parseHttpExchange(lines) {
+  const [method, path] = lines[0].split(" ");
+  const exchange = {
+    method,
+    path,
+    requestHeaders: {},
+    requestBody: [],
+    status: null,
+    responseHeaders: {},
+    responseBody: [],
+  };
+
+  for (const line of lines.slice(1)) {
+    const header = /^([<>]) ([\w-]+): (.*)$/.exec(line);
+    const status = /^< HTTP\/1\.1 (\d+)/.exec(line);
+
+    if (status) {
+      exchange.status = Number(status[1]);
+    } else if (header) {
+      const [, direction, name, value] = header;
+      const headers =
+        direction === ">" ? exchange.requestHeaders : exchange.responseHeaders;
+      headers[name] = value;
+    } else {
+      // the body of the request comes before the response
+      const isRequestBody =
+        exchange.status === null ||
+        (method === "POST" && exchange.requestBody.length === 0);
+      const body = isRequestBody ? exchange.requestBody : exchange.responseBody;
+      body.push(unescape(line));
+    }
+  }
+
+  return {
+    ...exchange,
+    requestBody: exchange.requestBody.join("\n") || undefined,
+    responseBody: exchange.responseBody.join("\n"),
+  };
+}
+
+// the Engine.IO packets which are always sent by the same side (the server sending the ping packets with the 4th
+// revision of the protocol), whatever the arrow of their line
+const SENDERS = {
+  "2probe": "sent",
+  "3probe": "received",
+  5: "sent",
+  2: "received",
+  3: "sent",
+};
+
+// "> 42["hello"]    => comment" => { direction: "sent", data: '42["hello"]' }, the other lines being ignored
+function parseFrames(lines) {
+  const frames = [];
+
+  for (const line of lines) {
+    const match = /^([<>]) (.*?)(?:\s+=>.*)?$/.exec(line);
+    if (!match) {
+      continue;
+    }
+    const [, direction, content] = match;
+    const buffer = /^<Buffer <([0-9a-f ]*)>>$/.exec(content);
+
+    frames.push({
+      direction: SENDERS[content] ?? (direction === ">" ? "sent" : "received"),
+      data: buffer ? parseBuffer(buffer[1]) : content,
+    });
+  }
+
+  return frames;
+}
+
+/**
+ * Extracts the steps of the "Sample session" section: the HTTP requests (`> ` for the request headers, `< ` for the
+ * response) and the WebSocket connections with their frames (`> ` for the frames sent by the client, except for the
+ * Engine.IO packets of SENDERS).
+ *
+ * @return {Array<{ title: string, method: string, path: string, requestHeaders: object, requestBody?: string,
+ * status: number, responseHeaders: object, responseBody: string, frames?: Array<{ direction: string, data: any }> }>}
+ */
+export function extractSampleSession(markdown) {
+  const steps = [];
+
+  for (const { context, lines } of codeBlocks(
+    section(markdown, "## Sample session")
+  )) {
+    const title = context.find((line) => line.startsWith("- Request"));
+
+    if (title) {
+      steps.push({
+        title: title.slice(2).replace(/:$/, ""),
+        ...parseHttpExchange(lines),
+      });
+    } else if (context.at(-1) === "WebSocket frames:") {
+      steps.at(-1).frames = parseFrames(lines);
+    }
+  }
+
+  return steps;
+}
@@ -0,0 +1,125 @@
+// Generation of malformed Engine.IO and Socket.IO packets, by breaking one rule of the grammar described in the
+// "Packet encoding" section of the Readme:
+//
+// <packet type>[<# of binary attachments>-][<namespace>,][<acknowledgment id>][JSON-stringified payload without binary]
+//
+// The generation is deterministic for a given seed, so that a failure can be reproduced with the "seed" option.
+
+/**
+ * A seeded pseudo-random number generator (mulberry32).
+ *
+ * @param seed {number} a 32-bit integer
+ * @return {function(): number} a function returning a number in [0, 1), like Math.random()
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, values) {
+  return values[Math.floor(random() * values.length)];
+}
+
+function integer(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function digits(random, length) {
+  let str = String(integer(random, 1, 9));
+  while (str.length < length) {
+    str += integer(random, 0, 9);
+  }
+  return str;
+}
+
+// a valid event payload, for example '["message",1,"2"]'
+function eventPayload(random) {
+  const args = [];
+  for (let i = integer(random, 0, 2); i > 0; i--) {
+    args.push(pick(random, [1, "2", { 3: [true] }, null]));
+  }
+  return JSON.stringify(["message", ...args]);
+}
+
+function placeholder(num) {
+  return { _placeholder: true, num };
+}
+
+/**
+ * The generators of malformed packets, by category. Each generator returns the content of the WebSocket frames (or
+ * HTTP long-polling packets) to send, the binary attachments being `Uint8Array`s to be wrapped in Engine.IO "message"
+ * packets.
+ */
+export const MALFORMED_PACKETS = {
+  "invalid Engine.IO packet type": (random) => [
+    pick(random, ["7", "8", "9", "a", "x", "-", " "]) + eventPayload(random),
+  ],
+
+  "invalid Socket.IO packet type": (random) => [
+    "4" +
+      pick(random, ["", "7", "8", "9", "a", "-", "/"]) +
+      eventPayload(random),
+  ],
+
+  "truncated attachment count": (random) => [
+    "4" +
+      pick(random, ["5", "6"]) +
+      pick(random, ["", digits(random, 1)]) +
+      pick(random, ["", eventPayload(random), "/custom,"]),
+  ],
+
+  "namespace without comma": (random) => [
+    "4" +
+      pick(random, ["2", "3"]) +
+      pick(random, ["/custom", "/custom" + digits(random, 2)]) +
+      eventPayload(random),
+  ],
+
+  "non-array event payload": (random) => [
+    "42" +
+      pick(random, ["", "/custom,"]) +
+      pick(random, [
+        "{}",
+        '{"0":"message"}',
+        '"message"',
+        "null",
+        "true",
+        "[]",
+        "[null]",
+      ]),
+  ],
+
+  "truncated JSON payload": (random) => {
+    const payload = eventPayload(random);
+    return [
+      "42" + payload.substring(0, integer(random, 1, payload.length - 1)),
+    ];
+  },
+
+  "placeholder number out of range": (random) => [
+    "451-" +
+      JSON.stringify([
+        "message",
+        placeholder(
+          pick(random, [-1, 1, 2, integer(random, 3, 999), "0", 0.5])
+        ),
+      ]),
+    Uint8Array.from([1, 2, 3]),
+  ],
+
+  // the acknowledgement ids are safe integers (above Number.MAX_SAFE_INTEGER, they could not be echoed back as is)
+  "overlong acknowledgement id": (random) => [
+    pick(random, ["42", "43"]) +
+      pick(random, [
+        String(Number.MAX_SAFE_INTEGER + 1),
+        digits(random, integer(random, 17, 40)),
+      ]) +
+      pick(random, ['["message"]', "[]"]),
+  ],
+};
@@ -0,0 +1,141 @@
+// Helpers shared by the test suite and the load mode (see load.js), which open sessions and exchange Socket.IO packets
+// over any transport.
+import { config, HANDSHAKE_KEYS } from "./config.js";
+import { decodePacket, encodePacket, PacketType } from "./codec.js";
+import { PARSERS } from "./parsers.js";
+import { messages, openSession, withTimeout } from "./transports.js";
+
+if (typeof window === "undefined") {
+  // make the helpers usable in both the browser and Node.js
+  await import("./node-imports.js");
+}
+
+const { expect } = chai;
+
+// the maxPayload value is not included in the handshake with the 3rd revision of the Engine.IO protocol
+const handshakeKeys = HANDSHAKE_KEYS.filter(
+  (key) => config.eio === 4 || key !== "maxPayload"
+);
+
+// the parser used to encode and decode the Socket.IO packets (see the "parser" option)
+export const parser = PARSERS[config.parser];
+
+export function sleep(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+// one Socket.IO decoder per connection, as binary packets may span several Engine.IO messages
+const decoders = new WeakMap();
+
+export function sendPacket(socket, packet) {
+  for (const encoded of parser.encode(packet)) {
+    socket.send(
+      encodePacket({ type: "message", data: encoded }, true, config.eio)
+    );
+  }
+}
+
+// the Socket.IO packets received by the socket, the Engine.IO ping/pong packets being ignored
+async function* readPackets(socket) {
+  if (!decoders.has(socket)) {
+    decoders.set(socket, new parser.Decoder());
+  }
+  const decoder = decoders.get(socket);
+
+  for await (const data of messages(socket)) {
+    const packet = decodePacket(data, config.eio);
+
+    if (packet.type === "ping" || packet.type === "pong") {
+      continue;
+    }
+
+    expect(packet.type).to.eql("message");
+
+    const decoded = decoder.add(packet.data);
+
+    if (decoded) {
+      yield decoded;
+    }
+  }
+}
+
+/**
+ * Waits for the given number of Socket.IO packets, which are read through a single iterator over the messages of the
+ * socket.
+ *
+ * @param description {string} what is awaited, included in the error messages
+ */
+export function waitForPackets(
+  socket,
+  count,
+  description = `${count} Socket.IO packet(s)`
+) {
+  const read = async () => {
+    const packets = [];
+
+    for await (const packet of readPackets(socket)) {
+      packets.push(packet);
+      if (packets.length === count) {
+        return packets;
+      }
+    }
+
+    throw new Error(
+      `the connection was closed while waiting for ${description} (${socket.url})`
+    );
+  };
+
+  return withTimeout(read(), `${description} (${socket.url})`);
+}
+
+// wait for the next Socket.IO packet, ignoring the Engine.IO ping/pong packets (the description of the awaited packet
+// being included in the timeout error)
+export async function waitForPacket(
+  socket,
+  description = "a Socket.IO packet"
+) {
+  const [packet] = await waitForPackets(socket, 1, description);
+  return packet;
+}
+
+export function parseHandshake(content) {
+  const packet = decodePacket(content, config.eio);
+  expect(packet.type).to.eql("open");
+  return JSON.parse(packet.data);
+}
+
+export function expectHandshake(value, upgrades) {
+  expect(value).to.have.all.keys("sid", "upgrades", ...handshakeKeys);
+  expect(value.sid).to.be.a("string");
+  expect(value.upgrades).to.eql(upgrades);
+
+  for (const key of handshakeKeys) {
+    if (config[key] === undefined) {
+      // "learn" mode: the first handshake defines the expected value
+      config[key] = value[key];
+    }
+    expect(value[key], key).to.eql(config[key]);
+  }
+}
+
+export async function initEngineIOSession(transport, path) {
+  const { socket, handshake } = await openSession(transport, path);
+  expectHandshake(
+    parseHandshake(handshake),
+    transport === "websocket" ? [] : ["websocket"]
+  );
+  return socket;
+}
+
+export async function initSocketIOConnection(transport = "websocket") {
+  const socket = await initEngineIOSession(transport);
+
+  if (config.protocol === 5) {
+    sendPacket(socket, { type: PacketType.CONNECT });
+  }
+
+  await waitForPacket(socket, "the Socket.IO handshake");
+  await waitForPacket(socket, 'the "auth" packet');
+
+  return socket;
+}
@@ -0,0 +1,24 @@
+// The self-test of the load mode (see load.js), which is a tool and not a requirement of the protocol: it is thus kept
+// out of the test suite and of the conformance report.
+//
+// mocha --require reference-server/fixture.js load-tests.js
+import "./node-imports.js";
+import { runLoad } from "./load.js";
+
+const { expect } = chai;
+
+describe("Load mode", () => {
+  it("should send events at the given rate without errors", async function () {
+    // the run, plus the delay for the last responses
+    this.timeout(10000);
+
+    const results = await runLoad({ clients: 3, rate: 30, duration: 1000 });
+
+    expect(results.sent).to.be.greaterThan(0);
+    expect(results.received).to.eql(results.sent);
+    expect(results.pendingAcks).to.eql(0);
+    expect(results.unexpectedCloses).to.eql(0);
+    expect(results.failedConnections).to.eql(0);
+    expect(results.readErrors).to.eql(0);
+  });
+});
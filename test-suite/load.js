@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// Load mode: opens several simultaneous clients, sends "message" and "message-with-ack" events at a target rate, and
+// reports the throughput, the acknowledgement latency, the missed heartbeats and the unexpected closes:
+//
+// node load.js --clients 50 --rate 500 --duration 10 --transport websocket,polling
+//
+// The other flags of the test suite (like "--url" or "--protocol") are read from the command line by config.js.
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { config } from "./config.js";
+import { decodePacket, PacketType } from "./codec.js";
+import { messages } from "./transports.js";
+import {
+  initSocketIOConnection,
+  parser,
+  sendPacket,
+  sleep,
+} from "./helpers.js";
+
+const { EVENT, ACK } = PacketType;
+
+const USAGE = `Usage: node load.js [options]
+
+Options:
+  --clients <n>             the number of simultaneous clients (default: 10)
+  --rate <n>                the total number of events sent per second (default: 100)
+  --duration <s>            the duration of the run, in seconds (default: 5)
+  --transport <transports>  the transports of the clients, used in turn (default: websocket,polling,upgrade)
+  --reference               start the reference server on the port of the URL
+  --json                    print the results in JSON format
+
+See the "Test suite" section of the Readme for the other options.`;
+
+// the delay for the responses to the last events, once the run is complete
+const DRAIN_DELAY = 1000;
+
+/**
+ * A client of the load mode, which answers the heartbeat and records the responses to its events.
+ */
+class LoadClient {
+  decoder = new parser.Decoder();
+  // acknowledgement id => the time the event was sent
+  pendingAcks = new Map();
+  nextAckId = 0;
+  count = 0;
+  stopping = false;
+  awaitingPong = false;
+
+  constructor(socket, stats) {
+    this.socket = socket;
+    this.stats = stats;
+    this.lastPing = performance.now();
+
+    socket.addEventListener("close", () => this.onclose());
+
+    if (config.eio === 3) {
+      // the heartbeat is initiated by the client with the 3rd revision of the Engine.IO protocol
+      this.pingTimer = setInterval(() => this.ping(), config.pingInterval);
+    }
+  }
+
+  async read() {
+    for await (const data of messages(this.socket)) {
+      const packet = decodePacket(data, config.eio);
+
+      if (packet.type === "ping" || packet.type === "pong") {
+        this.onheartbeat(packet.type);
+      } else if (packet.type === "message") {
+        const decoded = this.decoder.add(packet.data);
+        if (decoded) {
+          this.onpacket(decoded);
+        }
+      }
+    }
+  }
+
+  // the server sends a ping packet every pingInterval ms, a late one being counted as a miss
+  onheartbeat(type) {
+    if (type === "pong") {
+      this.awaitingPong = false;
+      return;
+    }
+
+    const now = performance.now();
+
+    if (now - this.lastPing > config.pingInterval + config.pingTimeout) {
+      this.stats.heartbeatMisses++;
+    }
+    this.lastPing = now;
+    this.socket.send("3");
+  }
+
+  // with the 3rd revision, a ping packet which is not answered before the next one is counted as a miss
+  ping() {
+    if (this.awaitingPong) {
+      this.stats.heartbeatMisses++;
+    }
+    this.awaitingPong = true;
+    this.socket.send("2");
+  }
+
+  onpacket(packet) {
+    if (packet.type === EVENT && packet.data[0] === "message-back") {
+      this.stats.received++;
+    } else if (packet.type === ACK && this.pendingAcks.has(packet.id)) {
+      this.stats.received++;
+      this.stats.latencies.push(
+        performance.now() - this.pendingAcks.get(packet.id)
+      );
+      this.pendingAcks.delete(packet.id);
+    }
+  }
+
+  // send "message" and "message-with-ack" events in turn
+  send() {
+    if (this.count++ % 2 === 0) {
+      sendPacket(this.socket, { type: EVENT, data: ["message", this.count] });
+    } else {
+      const id = this.nextAckId++;
+      this.pendingAcks.set(id, performance.now());
+      sendPacket(this.socket, {
+        type: EVENT,
+        id,
+        data: ["message-with-ack", this.count],
+      });
+    }
+    this.stats.sent++;
+  }
+
+  onclose() {
+    clearInterval(this.pingTimer);
+    if (!this.stopping) {
+      this.stopping = true;
+      this.stats.unexpectedCloses++;
+    }
+  }
+
+  close() {
+    this.stopping = true;
+    this.socket.close();
+  }
+}
+
+// nearest-rank percentile of the sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * Runs the load mode against the server of the configuration.
+ *
+ * @param opts.clients {number} the number of simultaneous clients
+ * @param opts.rate {number} the total number of events sent per second
+ * @param opts.duration {number} the duration of the run, in ms
+ */
+export async function runLoad({ clients, rate, duration }) {
+  const stats = {
+    sent: 0,
+    received: 0,
+    latencies: [],
+    heartbeatMisses: 0,
+    unexpectedCloses: 0,
+    failedConnections: 0,
+    readErrors: 0,
+  };
+
+  const loadClients = [];
+
+  // the clients are connected one after the other, and answer the heartbeat as soon as they are connected
+  for (let i = 0; i < clients; i++) {
+    const transport = config.transports[i % config.transports.length];
+    try {
+      const client = new LoadClient(
+        await initSocketIOConnection(transport),
+        stats
+      );
+      // a read which fails (like on an invalid packet) stops the responses of the client, which are then missing
+      client.read().catch(() => stats.readErrors++);
+      loadClients.push(client);
+    } catch (e) {
+      stats.failedConnections++;
+    }
+  }
+
+  const interval = (1000 * loadClients.length) / rate;
+  const timers = loadClients.map((client, i) => {
+    // spread the events of the different clients over the interval
+    return sleep((i * interval) / loadClients.length).then(() =>
+      setInterval(() => client.stopping || client.send(), interval)
+    );
+  });
+
+  const start = performance.now();
+  await sleep(duration);
+
+  for (const timer of await Promise.all(timers)) {
+    clearInterval(timer);
+  }
+  const elapsed = (performance.now() - start) / 1000;
+
+  await sleep(DRAIN_DELAY);
+
+  for (const client of loadClients) {
+    client.close();
+  }
+
+  const latencies = stats.latencies.sort((a, b) => a - b);
+  const pending = loadClients.reduce(
+    (sum, client) => sum + client.pendingAcks.size,
+    0
+  );
+
+  return {
+    clients,
+    transports: config.transports,
+    rate,
+    duration,
+    sent: stats.sent,
+    received: stats.received,
+    throughput: stats.received / elapsed,
+    ackLatency: {
+      p50: percentile(latencies, 0.5),
+      p90: percentile(latencies, 0.9),
+      p99: percentile(latencies, 0.99),
+      max: percentile(latencies, 1),
+    },
+    pendingAcks: pending,
+    heartbeatMisses: stats.heartbeatMisses,
+    unexpectedCloses: stats.unexpectedCloses,
+    failedConnections: stats.failedConnections,
+    readErrors: stats.readErrors,
+  };
+}
+
+function ms(value) {
+  return value === null ? "-" : `${value.toFixed(1)} ms`;
+}
+
+function formatResults(results) {
+  const { p50, p90, p99, max } = results.ackLatency;
+  const rows = [
+    ["sent", results.sent],
+    ["received", results.received],
+    ["throughput", `${results.throughput.toFixed(1)} events/s`],
+    [
+      "ack latency",
+      `p50 ${ms(p50)}, p90 ${ms(p90)}, p99 ${ms(p99)}, max ${ms(max)}`,
+    ],
+    ["pending acks", results.pendingAcks],
+    ["heartbeat misses", results.heartbeatMisses],
+    ["unexpected closes", results.unexpectedCloses],
+    ["failed connections", results.failedConnections],
+    ["read errors", results.readErrors],
+  ];
+
+  const title = `${results.clients} clients (${results.transports.join(
+    ", "
+  )}), ${results.rate} events/s for ${results.duration / 1000} s`;
+
+  return [
+    title,
+    "",
+    ...rows.map(([name, value]) => `  ${(name + ":").padEnd(20)}${value}`),
+  ].join("\n");
+}
+
+function parsePositive(value, name) {
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw new Error(`invalid value for "${name}": ${value}`);
+  }
+  return number;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      clients: { type: "string", default: "10" },
+      rate: { type: "string", default: "100" },
+      duration: { type: "string", default: "5" },
+      reference: { type: "boolean" },
+      json: { type: "boolean" },
+      help: { type: "boolean" },
+    },
+    // the other flags are handled by config.js
+    strict: false,
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let server;
+
+  if (values.reference) {
+    const { startReferenceServer } = await import(
+      "./reference-server/fixture.js"
+    );
+    server = await startReferenceServer();
+  }
+
+  const results = await runLoad({
+    clients: parsePositive(values.clients, "clients"),
+    rate: parsePositive(values.rate, "rate"),
+    duration: parsePositive(values.duration, "duration") * 1000,
+  });
+
+  await server?.close();
+
+  console.log(
+    values.json ? JSON.stringify(results, null, 2) : formatResults(results)
+  );
+
+  const failures =
+    results.unexpectedCloses + results.failedConnections + results.readErrors;
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = await main();
+}
@@ -0,0 +1,61 @@
+import { spawn } from "node:child_process";
+
+/**
+ * A process started with a shell command (the server under test, or the client under test in the client conformance
+ * mode), whose output is kept in memory so that it can be attached to the failures.
+ */
+export class ManagedProcess {
+  logs = [];
+  exitCode = null;
+
+  constructor(command, env = {}) {
+    // in its own process group, so that the whole tree can be killed (the command being run by a shell)
+    this.process = spawn(command, {
+      shell: true,
+      detached: true,
+      env: { ...process.env, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    this.process.stdout.on("data", (chunk) => this.logs.push(String(chunk)));
+    this.process.stderr.on("data", (chunk) => this.logs.push(String(chunk)));
+
+    this.exited = new Promise((resolve) => {
+      this.process.once("exit", (code, signal) => {
+        this.exitCode = code ?? signal;
+        resolve();
+      });
+      this.process.once("error", (err) => {
+        this.logs.push(`${err.message}\n`);
+        this.exitCode = err.code;
+        resolve();
+      });
+    });
+  }
+
+  get running() {
+    return this.exitCode === null;
+  }
+
+  logsSince(offset) {
+    return this.logs.slice(offset).join("");
+  }
+
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+    const timer = setTimeout(() => this.kill("SIGKILL"), 5000);
+    this.kill("SIGTERM");
+    await this.exited;
+    clearTimeout(timer);
+  }
+
+  kill(signal) {
+    try {
+      process.kill(-this.process.pid, signal);
+    } catch (e) {
+      // the process has already exited
+    }
+  }
+}
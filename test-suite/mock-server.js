@@ -0,0 +1,474 @@
+// A scripted Engine.IO / Socket.IO server, for the client conformance mode (see client-suite.js): the tests accept (or
+// reject) the sessions opened by the client under test, send the packets of their scenario, and assert the packets sent
+// by the client.
+//
+// Unlike the reference server, nothing is answered automatically, except the heartbeat and the upgrade mechanism, which
+// are recorded in the `frames` of each session.
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { WebSocketServer } from "ws";
+import {
+  Decoder,
+  decodePacket,
+  decodePayload,
+  encode,
+  encodePacket,
+  joinPayload,
+} from "./codec.js";
+import { config } from "./config.js";
+
+/**
+ * A session of the mock server, over HTTP long-polling or WebSocket.
+ */
+class MockSession {
+  // { time, direction: "sent"|"received", transport, packet }
+  frames = [];
+  readyState = "open";
+  decoder = new Decoder();
+
+  #received = [];
+  #waiting = [];
+  #buffer = [];
+  #pollingResponse = null;
+  #ws = null;
+  #pongs = [];
+
+  constructor(handshake, opts) {
+    this.id = randomBytes(15).toString("base64url");
+    this.time = handshake.time;
+    this.transport = handshake.transport;
+    this.opts = opts;
+
+    this.closed = new Promise((resolve) => (this.onclose = resolve));
+    this.upgraded = new Promise((resolve) => (this.onupgrade = resolve));
+
+    if (this.transport === "websocket") {
+      this.#attach(handshake.ws);
+      this.onupgrade();
+    } else {
+      this.onPollingRequest(handshake.req, handshake.res);
+    }
+
+    this.send({
+      type: "open",
+      data: JSON.stringify({
+        sid: this.id,
+        upgrades: this.transport === "polling" ? opts.upgrades : [],
+        pingInterval: opts.pingInterval,
+        pingTimeout: opts.pingTimeout,
+        maxPayload: opts.maxPayload,
+      }),
+    });
+
+    if (opts.ping) {
+      this.pingTimer = setInterval(() => this.ping(), opts.pingInterval);
+    }
+  }
+
+  #record(direction, transport, packet) {
+    this.frames.push({ time: performance.now(), direction, transport, packet });
+  }
+
+  #attach(ws) {
+    this.#ws = ws;
+    ws.on("message", (data, isBinary) => {
+      this.#onPacket(
+        decodePacket(isBinary ? data : data.toString()),
+        "websocket"
+      );
+    });
+    ws.on("close", () => this.#onClose("transport close"));
+  }
+
+  onPollingRequest(req, res) {
+    if (req.method === "GET") {
+      if (this.#pollingResponse) {
+        // only one GET request at a time
+        this.#onClose("multiple GET requests");
+        res.writeHead(400);
+        res.end();
+        return;
+      }
+      this.#pollingResponse = res;
+      res.once("close", () => {
+        if (this.#pollingResponse === res) {
+          this.#pollingResponse = null;
+        }
+      });
+      this.#flush();
+    } else {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end("ok");
+        for (const packet of decodePayload(Buffer.concat(chunks).toString())) {
+          this.#onPacket(packet, "polling");
+        }
+      });
+    }
+  }
+
+  // the WebSocket connection of the upgrade, which is answered automatically
+  onUpgrade(ws) {
+    if (this.transport !== "polling" || this.readyState === "closed") {
+      ws.terminate();
+      return;
+    }
+
+    ws.on("message", (data, isBinary) => {
+      const packet = decodePacket(isBinary ? data : data.toString());
+      this.#record("received", "websocket", packet);
+
+      if (packet.type === "ping" && packet.data === "probe") {
+        ws.send("3probe");
+        this.#record("sent", "websocket", { type: "pong", data: "probe" });
+        // release the pending GET request, so that the client can pause the polling transport
+        this.#write([{ type: "noop" }]);
+      } else if (packet.type === "upgrade") {
+        ws.removeAllListeners("message");
+        this.transport = "websocket";
+        this.#attach(ws);
+        this.#flush();
+        this.onupgrade();
+      } else {
+        ws.terminate();
+      }
+    });
+  }
+
+  #onPacket(packet, transport) {
+    this.#record("received", transport, packet);
+
+    switch (packet.type) {
+      case "pong":
+        this.#pongs.shift()?.();
+        break;
+      case "close":
+        this.#onClose("client close");
+        break;
+      default: {
+        const resolve = this.#waiting.shift();
+        if (resolve) {
+          resolve(packet);
+        } else {
+          this.#received.push(packet);
+        }
+      }
+    }
+  }
+
+  #onClose(reason) {
+    if (this.readyState === "closed") {
+      return;
+    }
+    this.readyState = "closed";
+    clearInterval(this.pingTimer);
+    this.onclose(reason);
+  }
+
+  #write(packets) {
+    const res = this.#pollingResponse;
+    if (!res) {
+      return false;
+    }
+    this.#pollingResponse = null;
+    res.writeHead(200, { "Content-Type": "text/plain; charset=UTF-8" });
+    res.end(joinPayload(packets.map((packet) => encodePacket(packet, false))));
+    return true;
+  }
+
+  #flush() {
+    if (this.#buffer.length === 0) {
+      return;
+    }
+    if (this.transport === "websocket") {
+      for (const packet of this.#buffer.splice(0)) {
+        this.#ws.send(encodePacket(packet, true));
+      }
+    } else if (this.#write(this.#buffer)) {
+      this.#buffer = [];
+    }
+  }
+
+  /**
+   * Sends an Engine.IO packet.
+   */
+  send(packet) {
+    if (this.readyState === "closed") {
+      return;
+    }
+    this.#record("sent", this.transport, packet);
+    this.#buffer.push(packet);
+    this.#flush();
+  }
+
+  /**
+   * Sends a Socket.IO packet, in one or several Engine.IO "message" packets.
+   */
+  sendPacket(packet) {
+    for (const data of encode(packet)) {
+      this.send({ type: "message", data });
+    }
+  }
+
+  /**
+   * Sends a ping packet.
+   *
+   * @return {Promise<number>} the delay before the pong packet, in ms
+   */
+  ping() {
+    const start = performance.now();
+    this.send({ type: "ping" });
+    return new Promise((resolve) =>
+      this.#pongs.push(() => resolve(performance.now() - start))
+    );
+  }
+
+  /**
+   * Waits for the next Engine.IO packet sent by the client, the heartbeat and the upgrade being handled separately.
+   *
+   * @param timeout {number} the maximum delay, after which `null` is returned
+   */
+  receive(timeout) {
+    if (this.#received.length > 0) {
+      return Promise.resolve(this.#received.shift());
+    }
+    return new Promise((resolve) => {
+      this.#waiting.push(resolve);
+      if (timeout !== undefined) {
+        setTimeout(() => {
+          const index = this.#waiting.indexOf(resolve);
+          if (index !== -1) {
+            this.#waiting.splice(index, 1);
+            resolve(null);
+          }
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Waits for the next Socket.IO packet sent by the client.
+   *
+   * @param timeout {number} the maximum delay, after which `null` is returned
+   */
+  async receivePacket(timeout) {
+    while (true) {
+      const packet = await this.receive(timeout);
+
+      if (packet === null) {
+        return null;
+      }
+      if (packet.type !== "message") {
+        throw new Error(`unexpected Engine.IO packet: ${packet.type}`);
+      }
+
+      const decoded = this.decoder.add(packet.data);
+
+      if (decoded) {
+        return decoded;
+      }
+    }
+  }
+
+  /**
+   * Closes the session, with a "close" packet over HTTP long-polling.
+   */
+  close() {
+    if (this.transport === "websocket") {
+      this.#ws.close();
+    } else {
+      this.send({ type: "close" });
+    }
+    this.#onClose("server close");
+  }
+}
+
+/**
+ * The mock server, listening on a random port.
+ */
+export class MockServer {
+  // the handshakes which are not accepted or rejected yet
+  #handshakes = [];
+  #waiting = [];
+  sessions = new Map();
+
+  constructor(opts = {}) {
+    this.opts = {
+      path: "/socket.io/",
+      pingInterval: config.pingInterval ?? 300,
+      pingTimeout: config.pingTimeout ?? 200,
+      maxPayload: config.maxPayload ?? 1000000,
+      ...opts,
+    };
+    this.httpServer = createServer((req, res) => this.#onRequest(req, res));
+    this.httpServer.on("upgrade", (req, socket, head) =>
+      this.#onUpgrade(req, socket, head)
+    );
+    this.wss = new WebSocketServer({ noServer: true });
+  }
+
+  async listen() {
+    await new Promise((resolve) => this.httpServer.listen(0, resolve));
+    this.url = `http://localhost:${this.httpServer.address().port}`;
+  }
+
+  close() {
+    for (const session of this.sessions.values()) {
+      clearInterval(session.pingTimer);
+    }
+    this.httpServer.closeAllConnections();
+    for (const ws of this.wss.clients) {
+      ws.terminate();
+    }
+    return new Promise((resolve) => this.httpServer.close(() => resolve()));
+  }
+
+  // forget the pending handshakes and sessions, for example between two tests
+  reset() {
+    for (const session of this.sessions.values()) {
+      clearInterval(session.pingTimer);
+    }
+    this.sessions.clear();
+    this.#handshakes = [];
+    this.#waiting = [];
+  }
+
+  #query(req) {
+    const url = new URL(req.url, "http://localhost");
+    return url.pathname === this.opts.path ? url.searchParams : null;
+  }
+
+  #onRequest(req, res) {
+    const query = this.#query(req);
+    const session = this.sessions.get(query?.get("sid"));
+
+    if (session) {
+      session.onPollingRequest(req, res);
+    } else if (query && !query.has("sid") && req.method === "GET") {
+      this.#onHandshake({ transport: "polling", query, req, res });
+    } else {
+      res.writeHead(400);
+      res.end();
+    }
+  }
+
+  #onUpgrade(req, socket, head) {
+    const query = this.#query(req);
+    const session = this.sessions.get(query?.get("sid"));
+
+    if (query && (session || !query.has("sid"))) {
+      this.#onHandshake({ transport: "websocket", query, req, socket, head });
+    } else {
+      socket.destroy();
+    }
+  }
+
+  #onHandshake(handshake) {
+    handshake.time = performance.now();
+
+    const sid = handshake.query.get("sid");
+
+    if (sid) {
+      // the upgrade of an existing session
+      this.wss.handleUpgrade(
+        handshake.req,
+        handshake.socket,
+        handshake.head,
+        (ws) => this.sessions.get(sid)?.onUpgrade(ws)
+      );
+      return;
+    }
+
+    const resolve = this.#waiting.shift();
+    if (resolve) {
+      resolve(handshake);
+    } else {
+      this.#handshakes.push(handshake);
+    }
+  }
+
+  #nextHandshake() {
+    if (this.#handshakes.length > 0) {
+      return Promise.resolve(this.#handshakes.shift());
+    }
+    return new Promise((resolve) => this.#waiting.push(resolve));
+  }
+
+  /**
+   * Accepts the next handshake of the client.
+   *
+   * @param opts.upgrades {string[]} the upgrades announced in the handshake (default: ["websocket"])
+   * @param opts.ping {boolean} whether the server sends ping packets every pingInterval ms (default: true)
+   * @return {Promise<MockSession>}
+   */
+  async accept(opts = {}) {
+    const handshake = await this.#nextHandshake();
+
+    if (handshake.transport === "websocket") {
+      handshake.ws = await new Promise((resolve) =>
+        this.wss.handleUpgrade(
+          handshake.req,
+          handshake.socket,
+          handshake.head,
+          resolve
+        )
+      );
+    }
+
+    const session = new MockSession(handshake, {
+      upgrades: ["websocket"],
+      ping: true,
+      ...this.opts,
+      ...opts,
+    });
+
+    this.sessions.set(session.id, session);
+
+    return session;
+  }
+
+  /**
+   * Rejects the next handshake of the client, with an HTTP 400 response.
+   *
+   * @return {Promise<number>} the time of the handshake (like `performance.now()`)
+   */
+  async reject() {
+    const handshake = await this.#nextHandshake();
+
+    if (handshake.transport === "websocket") {
+      handshake.socket.end(
+        "HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n"
+      );
+    } else {
+      handshake.res.writeHead(400, { "Content-Type": "application/json" });
+      handshake.res.end(JSON.stringify({ code: 3, message: "Bad request" }));
+    }
+
+    return handshake.time;
+  }
+
+  /**
+   * Waits for the next handshake of the client, for at most the given delay.
+   *
+   * @return {Promise<boolean>} whether a handshake was received (it is left pending)
+   */
+  async expectHandshake(timeout) {
+    if (this.#handshakes.length > 0) {
+      return true;
+    }
+    return new Promise((resolve) => {
+      const onHandshake = (handshake) => {
+        clearTimeout(timer);
+        this.#handshakes.unshift(handshake);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        this.#waiting.splice(this.#waiting.indexOf(onHandshake), 1);
+        resolve(false);
+      }, timeout);
+      this.#waiting.push(onHandshake);
+    });
+  }
+}
@@ -0,0 +1,392 @@
+// The msgpack parser, compatible with the socket.io-msgpack-parser package: each Socket.IO packet is encoded as a
+// msgpack map ({ type, nsp, id?, data? }) in a single binary Engine.IO message. The binary data is included as is, so
+// there are no BINARY_EVENT and BINARY_ACK packets.
+//
+// Usable in both the browser and Node.js, like the codec.js module.
+import { isBinary, isPayloadValid, PacketType, toBytes } from "./codec.js";
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder("utf-8", { fatal: true });
+
+// a Node.js Buffer, which the notepack.io package encodes as a msgpack "bin" value
+function isBuffer(value) {
+  return typeof Buffer !== "undefined" && Buffer.isBuffer(value);
+}
+
+class Writer {
+  bytes = new Uint8Array(256);
+  view = new DataView(this.bytes.buffer);
+  length = 0;
+
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) {
+      return;
+    }
+    const bytes = new Uint8Array(
+      Math.max(this.bytes.length * 2, this.length + size)
+    );
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  // the prefix byte, followed by an unsigned integer of the given size
+  header(prefix, size, value) {
+    this.reserve(1 + size);
+    this.bytes[this.length++] = prefix;
+    if (size === 1) {
+      this.view.setUint8(this.length, value);
+    } else if (size === 2) {
+      this.view.setUint16(this.length, value);
+    } else if (size === 4) {
+      this.view.setUint32(this.length, value);
+    }
+    this.length += size;
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  // the header of a string, binary, array or map value, depending on its length
+  sized(length, fixPrefix, fixLimit, prefixes) {
+    if (fixPrefix !== null && length < fixLimit) {
+      this.header(fixPrefix | length, 0);
+    } else if (length < 0x100 && prefixes[0] !== null) {
+      this.header(prefixes[0], 1, length);
+    } else if (length < 0x10000) {
+      this.header(prefixes[1], 2, length);
+    } else {
+      this.header(prefixes[2], 4, length);
+    }
+  }
+
+  number(value) {
+    if (!Number.isInteger(value)) {
+      this.header(0xcb, 0);
+      this.reserve(8);
+      this.view.setFloat64(this.length, value);
+      this.length += 8;
+    } else if (value >= 0) {
+      if (value < 0x80) {
+        this.header(value, 0);
+      } else if (value < 0x100) {
+        this.header(0xcc, 1, value);
+      } else if (value < 0x10000) {
+        this.header(0xcd, 2, value);
+      } else if (value < 0x100000000) {
+        this.header(0xce, 4, value);
+      } else {
+        this.header(0xcf, 0);
+        this.reserve(8);
+        this.view.setBigUint64(this.length, BigInt(value));
+        this.length += 8;
+      }
+    } else if (value >= -32) {
+      this.header(value & 0xff, 0);
+    } else if (value >= -0x80) {
+      this.header(0xd0, 0);
+      this.reserve(1);
+      this.view.setInt8(this.length++, value);
+    } else if (value >= -0x8000) {
+      this.header(0xd1, 0);
+      this.reserve(2);
+      this.view.setInt16(this.length, value);
+      this.length += 2;
+    } else if (value >= -0x80000000) {
+      this.header(0xd2, 0);
+      this.reserve(4);
+      this.view.setInt32(this.length, value);
+      this.length += 4;
+    } else {
+      this.header(0xd3, 0);
+      this.reserve(8);
+      this.view.setBigInt64(this.length, BigInt(value));
+      this.length += 8;
+    }
+  }
+
+  value(value) {
+    if (value === null) {
+      this.header(0xc0, 0);
+    } else if (value === undefined) {
+      // fixext 1 with the extension type 0, like the notepack.io package
+      this.header(0xd4, 0);
+      this.raw([0, 0]);
+    } else if (typeof value === "boolean") {
+      this.header(value ? 0xc3 : 0xc2, 0);
+    } else if (typeof value === "number") {
+      this.number(value);
+    } else if (typeof value === "string") {
+      const bytes = textEncoder.encode(value);
+      this.sized(bytes.length, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+      this.raw(bytes);
+    } else if (isBuffer(value)) {
+      this.sized(value.length, null, 0, [0xc4, 0xc5, 0xc6]);
+      this.raw(value);
+    } else if (isBinary(value)) {
+      // the other binary values are encoded with the extension type 0, like the notepack.io package
+      const bytes = toBytes(value);
+      this.sized(bytes.length, null, 0, [0xc7, 0xc8, 0xc9]);
+      this.raw([0]);
+      this.raw(bytes);
+    } else if (Array.isArray(value)) {
+      this.sized(value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+      value.forEach((item) => this.value(item));
+    } else if (typeof value === "object") {
+      const entries = Object.entries(value);
+      this.sized(entries.length, 0x80, 16, [null, 0xde, 0xdf]);
+      for (const [key, item] of entries) {
+        this.value(key);
+        this.value(item);
+      }
+    } else {
+      throw new TypeError(`unsupported type: ${typeof value}`);
+    }
+  }
+}
+
+class Reader {
+  offset = 0;
+
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error("truncated msgpack value");
+    }
+    const offset = this.offset;
+    this.offset += size;
+    return offset;
+  }
+
+  uint(size) {
+    const offset = this.take(size);
+    return size === 1
+      ? this.view.getUint8(offset)
+      : size === 2
+      ? this.view.getUint16(offset)
+      : this.view.getUint32(offset);
+  }
+
+  str(length) {
+    const offset = this.take(length);
+    return textDecoder.decode(this.bytes.subarray(offset, offset + length));
+  }
+
+  // binary data is decoded as an ArrayBuffer, like the attachments of the default parser
+  bin(length) {
+    const offset = this.take(length);
+    return this.bytes.slice(offset, offset + length).buffer;
+  }
+
+  array(length) {
+    const array = [];
+    for (let i = 0; i < length; i++) {
+      array.push(this.value());
+    }
+    return array;
+  }
+
+  map(length) {
+    const entries = [];
+    for (let i = 0; i < length; i++) {
+      const key = this.value();
+      if (typeof key !== "string") {
+        throw new Error("invalid msgpack map key");
+      }
+      const value = this.value();
+      // the undefined values (see ext()) are omitted, like with JSON
+      if (value !== undefined) {
+        entries.push([key, value]);
+      }
+    }
+    return Object.fromEntries(entries);
+  }
+
+  // the extension type of the notepack.io package for ArrayBuffer (type 0, undefined being encoded as fixext 1 type 0)
+  ext(length) {
+    const type = this.view.getInt8(this.take(1));
+    if (type !== 0) {
+      throw new Error(`unsupported msgpack extension type: ${type}`);
+    }
+    return this.bin(length);
+  }
+
+  value() {
+    const prefix = this.view.getUint8(this.take(1));
+
+    if (prefix < 0x80) {
+      return prefix;
+    }
+    if (prefix < 0x90) {
+      return this.map(prefix & 0x0f);
+    }
+    if (prefix < 0xa0) {
+      return this.array(prefix & 0x0f);
+    }
+    if (prefix < 0xc0) {
+      return this.str(prefix & 0x1f);
+    }
+    if (prefix >= 0xe0) {
+      return prefix - 0x100;
+    }
+
+    switch (prefix) {
+      case 0xc0:
+        return null;
+      case 0xc2:
+        return false;
+      case 0xc3:
+        return true;
+      case 0xc4:
+        return this.bin(this.uint(1));
+      case 0xc5:
+        return this.bin(this.uint(2));
+      case 0xc6:
+        return this.bin(this.uint(4));
+      case 0xc7:
+        return this.ext(this.uint(1));
+      case 0xc8:
+        return this.ext(this.uint(2));
+      case 0xc9:
+        return this.ext(this.uint(4));
+      case 0xca:
+        return this.view.getFloat32(this.take(4));
+      case 0xcb:
+        return this.view.getFloat64(this.take(8));
+      case 0xcc:
+        return this.uint(1);
+      case 0xcd:
+        return this.uint(2);
+      case 0xce:
+        return this.uint(4);
+      case 0xcf:
+        return Number(this.view.getBigUint64(this.take(8)));
+      case 0xd0:
+        return this.view.getInt8(this.take(1));
+      case 0xd1:
+        return this.view.getInt16(this.take(2));
+      case 0xd2:
+        return this.view.getInt32(this.take(4));
+      case 0xd3:
+        return Number(this.view.getBigInt64(this.take(8)));
+      case 0xd4: {
+        const type = this.view.getInt8(this.take(1));
+        this.take(1);
+        if (type !== 0) {
+          throw new Error(`unsupported msgpack extension type: ${type}`);
+        }
+        return undefined;
+      }
+      case 0xd9:
+        return this.str(this.uint(1));
+      case 0xda:
+        return this.str(this.uint(2));
+      case 0xdb:
+        return this.str(this.uint(4));
+      case 0xdc:
+        return this.array(this.uint(2));
+      case 0xdd:
+        return this.array(this.uint(4));
+      case 0xde:
+        return this.map(this.uint(2));
+      case 0xdf:
+        return this.map(this.uint(4));
+      default:
+        throw new Error(`unsupported msgpack prefix: 0x${prefix.toString(16)}`);
+    }
+  }
+}
+
+/**
+ * Encodes a value in the msgpack format.
+ *
+ * @return {Uint8Array}
+ */
+export function pack(value) {
+  const writer = new Writer();
+  writer.value(value);
+  return writer.bytes.slice(0, writer.length);
+}
+
+/**
+ * Decodes a msgpack value.
+ *
+ * @param data {ArrayBuffer|ArrayBufferView}
+ * @throws Error if the content is invalid or contains trailing bytes
+ */
+export function unpack(data) {
+  const reader = new Reader(toBytes(data));
+  const value = reader.value();
+  if (reader.offset !== reader.bytes.length) {
+    throw new Error("unexpected data after the msgpack value");
+  }
+  return value;
+}
+
+/**
+ * Encodes a Socket.IO packet.
+ *
+ * @param packet {{ type: number, nsp?: string, id?: number, data?: any }}
+ * @return {Uint8Array[]} the binary Engine.IO message
+ */
+export function encode({ type, nsp = "/", id, data }) {
+  const packet = { type, nsp };
+  if (id !== undefined) {
+    packet.id = id;
+  }
+  if (data !== undefined) {
+    packet.data = data;
+  }
+  return [pack(packet)];
+}
+
+/**
+ * Decodes Socket.IO packets, one Engine.IO message at a time.
+ */
+export class Decoder {
+  /**
+   * @param chunk {string|ArrayBuffer|ArrayBufferView} the content of an Engine.IO message
+   * @return the decoded packet
+   * @throws Error if the content is invalid
+   */
+  add(chunk) {
+    if (typeof chunk === "string") {
+      throw new Error("got plaintext data with the msgpack parser");
+    }
+
+    const { type, nsp, id, data } = unpack(chunk);
+
+    if (
+      !Number.isInteger(type) ||
+      type < 0 ||
+      type > PacketType.CONNECT_ERROR
+    ) {
+      throw new Error("unknown packet type");
+    }
+    if (typeof nsp !== "string") {
+      throw new Error("invalid namespace");
+    }
+    if (id !== undefined && (!Number.isSafeInteger(id) || id < 0)) {
+      throw new Error("invalid ack id");
+    }
+    if (!isPayloadValid(type, data)) {
+      throw new Error("invalid payload");
+    }
+
+    const packet = { type, nsp };
+    if (id !== undefined) {
+      packet.id = id;
+    }
+    if (data !== undefined) {
+      packet.data = data;
+    }
+    return packet;
+  }
+}
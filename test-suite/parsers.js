@@ -0,0 +1,23 @@
+// The Socket.IO parsers, which turn the Socket.IO packets into Engine.IO messages and back (see the "parser" option).
+//
+// Each parser exposes:
+// - encode(packet): the content of the Engine.IO messages of the packet
+// - Decoder: a class whose add(message) method returns the decoded packet, or null if more messages are expected
+// - attachments: whether the binary data is sent in separate messages, with the BINARY_EVENT and BINARY_ACK types
+import * as json from "./codec.js";
+import * as msgpack from "./msgpack.js";
+
+export const PARSERS = {
+  // the default parser, described in the "Packet encoding" section of the Readme
+  json: {
+    encode: json.encode,
+    Decoder: json.Decoder,
+    attachments: true,
+  },
+  // the format of the socket.io-msgpack-parser package
+  msgpack: {
+    encode: msgpack.encode,
+    Decoder: msgpack.Decoder,
+    attachments: false,
+  },
+};
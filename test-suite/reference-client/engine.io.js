@@ -0,0 +1,144 @@
+import { EventEmitter } from "node:events";
+import { WebSocket } from "ws";
+import { decodePacket, encodePacket } from "../codec.js";
+import { PollingSocket } from "../transports.js";
+
+/**
+ * A minimal Engine.IO v4 client, written from the specification: the session is opened over HTTP long-polling, and
+ * upgraded to WebSocket if the server allows it.
+ *
+ * Emits "open" once the handshake is received, "message" for each message packet, and "close" with the reason (the
+ * session being closed without "open" event if the handshake fails).
+ */
+export class EngineClient extends EventEmitter {
+  readyState = "opening";
+  upgrading = false;
+
+  constructor(url) {
+    super();
+    this.url = url;
+    this.setTransport(new PollingSocket(`${url}?EIO=4&transport=polling`));
+  }
+
+  async setTransport(transport) {
+    this.transport = transport;
+
+    if (transport instanceof PollingSocket) {
+      for await (const data of transport.iterator()) {
+        this.onPacket(decodePacket(data));
+      }
+      // the iterator of a paused transport never completes
+      this.onClose(
+        this.readyState === "opening" ? "transport error" : "transport close"
+      );
+    } else {
+      transport.on("message", (data, isBinary) =>
+        this.onPacket(decodePacket(isBinary ? data : String(data)))
+      );
+      transport.on("close", () => this.onClose("transport close"));
+      transport.on("error", () => this.onClose("transport error"));
+    }
+  }
+
+  onPacket(packet) {
+    if (this.readyState === "closed") {
+      return;
+    }
+
+    switch (packet.type) {
+      case "open":
+        this.handshake = JSON.parse(packet.data);
+        this.readyState = "open";
+        this.resetPingTimeout();
+        this.emit("open");
+        if (this.handshake.upgrades.includes("websocket")) {
+          this.probe();
+        }
+        break;
+      case "ping":
+        this.sendPacket("pong");
+        this.resetPingTimeout();
+        break;
+      case "message":
+        this.emit("message", packet.data);
+        break;
+      case "close":
+        this.onClose("transport close");
+        break;
+      default:
+        this.onClose("parse error");
+    }
+  }
+
+  // the server MUST send a ping packet every pingInterval ms
+  resetPingTimeout() {
+    clearTimeout(this.pingTimeoutTimer);
+    this.pingTimeoutTimer = setTimeout(
+      () => this.onClose("ping timeout"),
+      this.handshake.pingInterval + this.handshake.pingTimeout
+    );
+  }
+
+  probe() {
+    const ws = new WebSocket(
+      `${this.url.replace("http", "ws")}?EIO=4&transport=websocket&sid=${
+        this.handshake.sid
+      }`
+    );
+    this.upgrading = true;
+
+    const fail = () => {
+      this.upgrading = false;
+      ws.terminate();
+    };
+
+    ws.once("open", () => ws.send("2probe"));
+    ws.once("error", fail);
+    ws.once("message", async (data) => {
+      if (String(data) !== "3probe" || this.readyState !== "open") {
+        return fail();
+      }
+
+      // wait for the pending requests to complete before switching the transport
+      await this.transport.pause();
+
+      if (this.readyState !== "open") {
+        return fail();
+      }
+
+      ws.removeAllListeners();
+      ws.send("5");
+      this.upgrading = false;
+      this.setTransport(ws);
+    });
+  }
+
+  send(data) {
+    this.sendPacket("message", data);
+  }
+
+  sendPacket(type, data) {
+    if (this.readyState === "open") {
+      this.transport.send(encodePacket({ type, data }, true));
+    }
+  }
+
+  // with a "close" packet over HTTP long-polling, and a close frame over WebSocket
+  close() {
+    this.onClose("forced close");
+  }
+
+  onClose(reason) {
+    if (this.readyState === "closed") {
+      return;
+    }
+    this.readyState = "closed";
+    clearTimeout(this.pingTimeoutTimer);
+    if (this.transport instanceof WebSocket) {
+      this.transport.removeAllListeners();
+      this.transport.on("error", () => {});
+    }
+    this.transport.close();
+    this.emit("close", reason);
+  }
+}
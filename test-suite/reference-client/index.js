@@ -0,0 +1,27 @@
+// The reference client, which implements the contract of the client conformance mode (see the "Test suite" section of
+// the Readme). The URL of the server is provided in the URL environment variable.
+import { Manager } from "./socket.io.js";
+
+const manager = new Manager(process.env.URL ?? "http://localhost:3000", {
+  reconnectionDelay: 100,
+  reconnectionDelayMax: 400,
+});
+
+const socket = manager.socket("/", { auth: { token: "123" } });
+
+socket.on("message", (...args) => {
+  socket.emit("message-back", ...args);
+});
+
+socket.on("message-with-ack", (...args) => {
+  const ack = args.pop();
+  ack(...args);
+});
+
+socket.on("emit-with-ack", (...args) => {
+  socket.emit("emit-with-ack", ...args, (...ackArgs) => {
+    socket.emit("emit-with-ack", ...ackArgs);
+  });
+});
+
+manager.open();
@@ -0,0 +1,221 @@
+import { EventEmitter } from "node:events";
+import { Decoder, encode, PacketType } from "../codec.js";
+import { EngineClient } from "./engine.io.js";
+
+const {
+  CONNECT,
+  DISCONNECT,
+  EVENT,
+  ACK,
+  CONNECT_ERROR,
+  BINARY_EVENT,
+  BINARY_ACK,
+} = PacketType;
+
+/**
+ * A connection to a given namespace.
+ *
+ * Unlike a plain EventEmitter, `emit()` sends an event to the server (the events being buffered until the connection is
+ * established). The events sent by the server are dispatched to the listeners registered with `on()`, along with the
+ * "connect", "connect_error" and "disconnect" events.
+ */
+class Socket extends EventEmitter {
+  connected = false;
+  // whether the socket connects (again) once the Engine.IO session is opened
+  active = true;
+  acks = new Map();
+  nextAckId = 0;
+  sendBuffer = [];
+
+  constructor(io, nsp, auth) {
+    super();
+    this.io = io;
+    this.nsp = nsp;
+    this.auth = auth;
+  }
+
+  emit(event, ...args) {
+    const packet = { type: EVENT, nsp: this.nsp };
+
+    if (typeof args[args.length - 1] === "function") {
+      packet.id = this.nextAckId++;
+      this.acks.set(packet.id, args.pop());
+    }
+
+    packet.data = [event, ...args];
+
+    if (this.connected) {
+      this.io.writePacket(packet);
+    } else {
+      this.sendBuffer.push(packet);
+    }
+    return true;
+  }
+
+  onopen() {
+    if (this.active) {
+      this.io.writePacket({ type: CONNECT, nsp: this.nsp, data: this.auth });
+    }
+  }
+
+  onpacket(packet) {
+    switch (packet.type) {
+      case CONNECT:
+        this.connected = true;
+        this.id = packet.data.sid;
+        super.emit("connect");
+        for (const buffered of this.sendBuffer.splice(0)) {
+          this.io.writePacket(buffered);
+        }
+        break;
+      case CONNECT_ERROR:
+        // no automatic reconnection, as the server has refused the connection
+        this.active = false;
+        super.emit("connect_error", packet.data);
+        this.io.destroy();
+        break;
+      case EVENT:
+      case BINARY_EVENT:
+        if (this.connected) {
+          this.onevent(packet);
+        }
+        break;
+      case ACK:
+      case BINARY_ACK:
+        this.onack(packet);
+        break;
+      case DISCONNECT:
+        this.active = false;
+        this.onclose("io server disconnect");
+        this.io.destroy();
+        break;
+    }
+  }
+
+  onevent(packet) {
+    const args = [...packet.data];
+    if (packet.id !== undefined) {
+      args.push(this.ack(packet.id));
+    }
+    super.emit(...args);
+  }
+
+  ack(id) {
+    let sent = false;
+    return (...args) => {
+      if (sent) {
+        return;
+      }
+      sent = true;
+      this.io.writePacket({ type: ACK, nsp: this.nsp, id, data: args });
+    };
+  }
+
+  onack(packet) {
+    const ack = this.acks.get(packet.id);
+    if (ack) {
+      this.acks.delete(packet.id);
+      ack(...packet.data);
+    }
+  }
+
+  onclose(reason) {
+    if (this.connected) {
+      this.connected = false;
+      super.emit("disconnect", reason);
+    }
+  }
+}
+
+/**
+ * A minimal Socket.IO v5 client, written from the specification, which manages the Engine.IO session shared by the
+ * sockets of the different namespaces.
+ *
+ * Unless the disconnection is initiated by the server with a DISCONNECT packet (or a CONNECT_ERROR packet), the session
+ * is opened again after a delay which doubles after each failed attempt (from `reconnectionDelay` to
+ * `reconnectionDelayMax`).
+ */
+export class Manager {
+  // namespace name => Socket
+  nsps = new Map();
+  attempts = 0;
+  engine = null;
+
+  constructor(url, opts = {}) {
+    this.url = url;
+    this.opts = {
+      path: "/socket.io/",
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      ...opts,
+    };
+  }
+
+  open() {
+    const decoder = new Decoder();
+    const engine = new EngineClient(`${this.url}${this.opts.path}`);
+
+    this.engine = engine;
+
+    engine.on("open", () => {
+      this.attempts = 0;
+      for (const socket of this.nsps.values()) {
+        socket.onopen();
+      }
+    });
+
+    engine.on("message", (data) => {
+      let packet;
+      try {
+        packet = decoder.add(data);
+      } catch (e) {
+        engine.close();
+        return;
+      }
+      if (packet) {
+        this.nsps.get(packet.nsp)?.onpacket(packet);
+      }
+    });
+
+    engine.once("close", (reason) => this.onclose(reason));
+  }
+
+  socket(nsp, opts = {}) {
+    const socket = new Socket(this, nsp, opts.auth);
+    this.nsps.set(nsp, socket);
+    return socket;
+  }
+
+  writePacket(packet) {
+    for (const encoded of encode(packet)) {
+      this.engine?.send(encoded);
+    }
+  }
+
+  // close the session once no socket needs it
+  destroy() {
+    if ([...this.nsps.values()].every((socket) => !socket.active)) {
+      const engine = this.engine;
+      this.engine = null;
+      engine?.close();
+    }
+  }
+
+  onclose(reason) {
+    for (const socket of this.nsps.values()) {
+      socket.onclose(reason);
+    }
+
+    if (this.engine === null) {
+      return; // closed on purpose
+    }
+
+    this.engine = null;
+
+    const delay = Math.min(
+      this.opts.reconnectionDelay * 2 ** this.attempts++,
+      this.opts.reconnectionDelayMax
+    );
+    setTimeout(() => this.open(), delay);
+  }
+}
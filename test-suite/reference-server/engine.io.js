@@ -0,0 +1,576 @@
+import { EventEmitter } from "node:events";
+import { randomBytes } from "node:crypto";
+import { WebSocketServer } from "ws";
+import {
+  decodePacket,
+  decodePayload,
+  encodePacket,
+  encodePayload,
+} from "../codec.js";
+
+const ERRORS = {
+  UNKNOWN_TRANSPORT: { code: 0, message: "Transport unknown" },
+  UNKNOWN_SID: { code: 1, message: "Session ID unknown" },
+  BAD_HANDSHAKE_METHOD: { code: 2, message: "Bad handshake method" },
+  BAD_REQUEST: { code: 3, message: "Bad request" },
+  UNSUPPORTED_PROTOCOL_VERSION: {
+    code: 5,
+    message: "Unsupported protocol version",
+  },
+};
+
+const UPGRADE_TIMEOUT = 10000;
+
+export function generateId() {
+  return randomBytes(15).toString("base64url");
+}
+
+class Polling extends EventEmitter {
+  name = "polling";
+  // whether a GET request is pending
+  writable = false;
+  readyState = "open";
+
+  constructor(server, protocol) {
+    super();
+    this.server = server;
+    this.protocol = protocol;
+  }
+
+  onRequest(req, res) {
+    if (req.method === "GET") {
+      this.onPollRequest(req, res);
+    } else if (req.method === "POST") {
+      this.onDataRequest(req, res);
+    } else {
+      this.server.sendError(res, ERRORS.BAD_REQUEST);
+    }
+  }
+
+  onPollRequest(req, res) {
+    if (this.res) {
+      this.server.sendError(res, ERRORS.BAD_REQUEST);
+      this.onError("overlap from client");
+      return;
+    }
+
+    this.res = res;
+    this.writable = true;
+
+    res.on("close", () => {
+      if (this.res === res) {
+        this.res = null;
+        this.writable = false;
+        this.onError("poll connection closed prematurely");
+      }
+    });
+
+    this.emit("drain");
+  }
+
+  onDataRequest(req, res) {
+    if (this.dataReq) {
+      this.server.sendError(res, ERRORS.BAD_REQUEST);
+      this.onError("data request overlap from client");
+      return;
+    }
+
+    this.dataReq = req;
+    const chunks = [];
+    let length = 0;
+
+    req.on("data", (chunk) => {
+      length += chunk.length;
+      // the rest of the body is still read, so that the client receives the response
+      if (length <= this.server.opts.maxPayload) {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      this.dataReq = null;
+
+      if (length > this.server.opts.maxPayload) {
+        res.writeHead(413, this.server.headers(req));
+        res.end();
+        this.onError("payload too large");
+        return;
+      }
+
+      res.writeHead(
+        200,
+        this.server.headers(req, { "Content-Type": "text/html" })
+      );
+      res.end("ok");
+
+      const payload = Buffer.concat(chunks).toString();
+      for (const packet of decodePayload(payload, this.protocol)) {
+        if (packet.type === "close") {
+          this.onClose();
+          return;
+        }
+        this.emit("packet", packet);
+      }
+    });
+  }
+
+  send(packets) {
+    const res = this.res;
+    this.res = null;
+    this.writable = false;
+
+    const payload = encodePayload(packets, this.protocol);
+
+    res.writeHead(
+      200,
+      this.server.headers(res.req, {
+        "Content-Type": "text/plain; charset=UTF-8",
+      })
+    );
+    res.end(payload);
+  }
+
+  onError(reason) {
+    this.emit("error", reason);
+  }
+
+  onClose() {
+    if (this.writable) {
+      // release the pending GET request
+      this.send([{ type: "noop" }]);
+    }
+    this.readyState = "closed";
+    this.emit("close");
+  }
+
+  close() {
+    if (this.readyState === "closed") {
+      return;
+    }
+    if (this.writable) {
+      this.send([{ type: "close" }]);
+    }
+    this.onClose();
+  }
+
+  // called when the session is upgraded to WebSocket
+  discard() {
+    this.discarded = true;
+    this.removeAllListeners();
+    if (this.writable) {
+      this.send([{ type: "noop" }]);
+    }
+    this.readyState = "closed";
+  }
+}
+
+class WebSocketTransport extends EventEmitter {
+  name = "websocket";
+  writable = true;
+  readyState = "open";
+
+  constructor(ws, protocol) {
+    super();
+    this.ws = ws;
+    this.protocol = protocol;
+
+    ws.on("message", (data, isBinary) => {
+      this.emit(
+        "packet",
+        decodePacket(isBinary ? data : data.toString(), protocol)
+      );
+    });
+    ws.on("close", () => {
+      this.readyState = "closed";
+      this.emit("close");
+    });
+    ws.on("error", (err) => this.emit("error", err.message));
+  }
+
+  send(packets) {
+    for (const packet of packets) {
+      this.ws.send(encodePacket(packet, true, this.protocol));
+    }
+  }
+
+  close() {
+    this.readyState = "closed";
+    this.ws.close();
+  }
+}
+
+/**
+ * An Engine.IO session, which may be upgraded from HTTP long-polling to WebSocket.
+ *
+ * Emits "message" for each message packet received from the client, and "close" once the session is closed.
+ *
+ * With the 3rd revision of the protocol, the heartbeat is initiated by the client: the server responds to the "ping"
+ * packets, and closes the session if it does not receive any within `pingInterval + pingTimeout`.
+ */
+class Session extends EventEmitter {
+  readyState = "open";
+  upgrading = false;
+  writeBuffer = [];
+
+  constructor(id, server, transport) {
+    super();
+    this.id = id;
+    this.server = server;
+    this.protocol = transport.protocol;
+    this.setTransport(transport);
+
+    const handshake = {
+      sid: id,
+      upgrades: transport.name === "polling" ? ["websocket"] : [],
+      pingInterval: server.opts.pingInterval,
+      pingTimeout: server.opts.pingTimeout,
+    };
+
+    if (this.protocol === 4) {
+      handshake.maxPayload = server.opts.maxPayload;
+    }
+
+    this.sendPacket("open", JSON.stringify(handshake));
+
+    this.schedulePing();
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+    transport.on("packet", (packet) => this.onPacket(packet));
+    transport.on("drain", () => this.flush());
+    transport.on("error", (reason) => this.onClose("transport error", reason));
+    transport.on("close", () => this.onClose("transport close"));
+  }
+
+  onPacket(packet) {
+    if (this.readyState !== "open") {
+      return;
+    }
+
+    switch (packet.type) {
+      case this.protocol === 3 ? "ping" : "pong":
+        if (this.protocol === 3) {
+          this.sendPacket("pong", packet.data);
+        }
+        clearTimeout(this.pingTimeoutTimer);
+        this.schedulePing();
+        break;
+      case "message":
+        this.emit("message", packet.data);
+        break;
+      case "close":
+        this.onClose("transport close");
+        break;
+      default:
+        this.onClose("parse error");
+    }
+  }
+
+  schedulePing() {
+    if (this.protocol === 3) {
+      this.pingTimeoutTimer = setTimeout(
+        () => this.onClose("ping timeout"),
+        this.server.opts.pingInterval + this.server.opts.pingTimeout
+      );
+      return;
+    }
+    this.pingIntervalTimer = setTimeout(() => {
+      this.sendPacket("ping");
+      this.pingTimeoutTimer = setTimeout(
+        () => this.onClose("ping timeout"),
+        this.server.opts.pingTimeout
+      );
+    }, this.server.opts.pingInterval);
+  }
+
+  maybeUpgrade(transport) {
+    this.upgrading = true;
+
+    let checkInterval;
+
+    const upgradeTimeout = setTimeout(() => {
+      cleanup();
+      transport.close();
+    }, UPGRADE_TIMEOUT);
+
+    // release the pending GET request, so that the client can pause the polling transport
+    const check = () => {
+      if (this.transport.name === "polling" && this.transport.writable) {
+        this.transport.send([{ type: "noop" }]);
+      }
+    };
+
+    const onPacket = (packet) => {
+      if (packet.type === "ping" && packet.data === "probe") {
+        transport.send([{ type: "pong", data: "probe" }]);
+        clearInterval(checkInterval);
+        checkInterval = setInterval(check, 100);
+      } else if (packet.type === "upgrade" && this.readyState === "open") {
+        cleanup();
+        this.transport.discard();
+        this.setTransport(transport);
+        this.flush();
+      } else {
+        cleanup();
+        transport.close();
+      }
+    };
+
+    const onClose = () => {
+      cleanup();
+      transport.close();
+    };
+
+    const cleanup = () => {
+      this.upgrading = false;
+      clearInterval(checkInterval);
+      clearTimeout(upgradeTimeout);
+      transport.off("packet", onPacket);
+      transport.off("close", cleanup);
+      this.off("close", onClose);
+    };
+
+    transport.on("packet", onPacket);
+    transport.once("close", cleanup);
+    this.once("close", onClose);
+  }
+
+  send(data) {
+    this.sendPacket("message", data);
+  }
+
+  sendPacket(type, data) {
+    if (this.readyState !== "open") {
+      return;
+    }
+    this.writeBuffer.push({ type, data });
+    this.flush();
+  }
+
+  flush() {
+    if (this.transport.writable && this.writeBuffer.length > 0) {
+      const packets = this.writeBuffer;
+      this.writeBuffer = [];
+      this.transport.send(packets);
+    }
+  }
+
+  /**
+   * @param discard {boolean} whether the buffered packets are discarded, instead of being sent before the "close" packet
+   * (with HTTP long-polling, upon the next GET request)
+   */
+  close(discard = false) {
+    if (!discard && this.readyState === "closing") {
+      return;
+    }
+    if (!discard && this.writeBuffer.length > 0) {
+      this.readyState = "closing";
+      this.writeBuffer.push({ type: "close" });
+      this.transport.once("drain", () => this.onClose("forced close"));
+      return;
+    }
+    this.onClose("forced close");
+  }
+
+  onClose(reason, description) {
+    if (this.readyState === "closed") {
+      return;
+    }
+    this.readyState = "closed";
+    clearTimeout(this.pingIntervalTimer);
+    clearTimeout(this.pingTimeoutTimer);
+    this.writeBuffer = [];
+    this.transport.removeAllListeners();
+    this.transport.on("error", () => {});
+    this.transport.close();
+    this.emit("close", reason, description);
+  }
+}
+
+/**
+ * A minimal Engine.IO v4 server, written from the specification.
+ *
+ * Emits "connection" for each new session.
+ *
+ * @param opts.cors {{ origin: string, credentials?: boolean }} the CORS headers included in the HTTP responses
+ * @param opts.cookie {string} the name of the sticky-session cookie set in the handshake response over HTTP long-polling
+ */
+export class EngineServer extends EventEmitter {
+  clients = new Map();
+
+  constructor(opts) {
+    super();
+    this.opts = opts;
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: opts.maxPayload,
+    });
+  }
+
+  attach(httpServer) {
+    httpServer.on("request", (req, res) => {
+      if (this.matches(req)) {
+        this.handleRequest(req, res);
+      }
+    });
+    httpServer.on("upgrade", (req, socket, head) => {
+      if (this.matches(req)) {
+        this.handleUpgrade(req, socket, head);
+      }
+    });
+  }
+
+  matches(req) {
+    return new URL(req.url, "http://localhost").pathname === this.opts.path;
+  }
+
+  headers(req, headers = {}) {
+    const { cors } = this.opts;
+    if (cors) {
+      headers["Access-Control-Allow-Origin"] = cors.origin;
+      if (cors.origin !== "*") {
+        headers["Vary"] = "Origin";
+      }
+      if (cors.credentials) {
+        headers["Access-Control-Allow-Credentials"] = "true";
+      }
+    }
+    return headers;
+  }
+
+  sendError(res, error) {
+    res.writeHead(
+      400,
+      this.headers(res.req, { "Content-Type": "application/json" })
+    );
+    res.end(JSON.stringify(error));
+  }
+
+  verify(req, query, upgrade) {
+    if (query.get("EIO") !== "3" && query.get("EIO") !== "4") {
+      return ERRORS.UNSUPPORTED_PROTOCOL_VERSION;
+    }
+
+    const transport = query.get("transport");
+    if (transport !== "polling" && transport !== "websocket") {
+      return ERRORS.UNKNOWN_TRANSPORT;
+    }
+    if (upgrade !== (transport === "websocket")) {
+      return ERRORS.BAD_REQUEST;
+    }
+
+    const sid = query.get("sid");
+    if (sid) {
+      const client = this.clients.get(sid);
+      if (!client) {
+        return ERRORS.UNKNOWN_SID;
+      }
+      if (!upgrade && client.transport.name !== transport) {
+        return ERRORS.BAD_REQUEST;
+      }
+    } else if (!upgrade && req.method !== "GET") {
+      return ERRORS.BAD_HANDSHAKE_METHOD;
+    }
+  }
+
+  handleRequest(req, res) {
+    if (req.method === "OPTIONS" && this.opts.cors) {
+      const headers = {
+        "Access-Control-Allow-Methods": "GET,HEAD,PUT,PATCH,POST,DELETE",
+      };
+      // the headers requested by the client are allowed
+      if (req.headers["access-control-request-headers"]) {
+        headers["Access-Control-Allow-Headers"] =
+          req.headers["access-control-request-headers"];
+      }
+      res.writeHead(204, this.headers(req, headers));
+      res.end();
+      return;
+    }
+
+    const query = new URL(req.url, "http://localhost").searchParams;
+    const error = this.verify(req, query, false);
+
+    if (error) {
+      this.sendError(res, error);
+      return;
+    }
+
+    const sid = query.get("sid");
+
+    if (sid) {
+      this.clients.get(sid).transport.onRequest(req, res);
+    } else {
+      const transport = new Polling(this, Number(query.get("EIO")));
+      const id = this.handshake(transport);
+      if (this.opts.cookie) {
+        // merged with the headers of the handshake response
+        res.setHeader(
+          "Set-Cookie",
+          `${this.opts.cookie}=${id}; Path=/; HttpOnly; SameSite=Lax`
+        );
+      }
+      transport.onRequest(req, res);
+    }
+  }
+
+  handleUpgrade(req, socket, head) {
+    const query = new URL(req.url, "http://localhost").searchParams;
+    const error = this.verify(req, query, true);
+
+    if (error) {
+      const message = JSON.stringify(error);
+      // the client may abort the connection before the response is sent
+      socket.on("error", () => {});
+      socket.end(
+        "HTTP/1.1 400 Bad Request\r\n" +
+          "Connection: close\r\n" +
+          "Content-Type: application/json\r\n" +
+          `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+          "\r\n" +
+          message
+      );
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      const transport = new WebSocketTransport(ws, Number(query.get("EIO")));
+      const sid = query.get("sid");
+
+      if (!sid) {
+        this.handshake(transport);
+        return;
+      }
+
+      const client = this.clients.get(sid);
+
+      if (
+        !client ||
+        client.upgrading ||
+        client.transport.name === "websocket"
+      ) {
+        transport.close();
+      } else {
+        client.maybeUpgrade(transport);
+      }
+    });
+  }
+
+  handshake(transport) {
+    const id = generateId();
+    const session = new Session(id, this, transport);
+
+    this.clients.set(id, session);
+    session.once("close", () => this.clients.delete(id));
+
+    this.emit("connection", session);
+
+    return id;
+  }
+
+  close() {
+    for (const session of this.clients.values()) {
+      session.close(true);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// Mocha root hooks, which run the test suite against the reference server
+import { config } from "../config.js";
+import { PARSERS } from "../parsers.js";
+import { startServer } from "./index.js";
+
+/**
+ * Starts the reference server with the options of the configuration, at the port of its URL (shared by the Mocha hooks
+ * and the --reference flag of browser.js and load.js).
+ */
+export function startReferenceServer() {
+  const url = new URL(config.url);
+  return startServer(Number(url.port || 80), {
+    path: config.path,
+    pingInterval: config.pingInterval ?? 300,
+    pingTimeout: config.pingTimeout ?? 200,
+    maxPayload: config.maxPayload ?? 1000000,
+    recoveryPath: config.recoveryPath,
+    cors: config.corsOrigin
+      ? { origin: config.corsOrigin, credentials: config.corsCredentials }
+      : undefined,
+    cookie: config.cookie ?? undefined,
+    closeOnLastNamespace: config.closeOnLastNamespace,
+    parser: PARSERS[config.parser],
+  });
+}
+
+let server;
+
+export const mochaHooks = {
+  async beforeAll() {
+    server = await startReferenceServer();
+  },
+
+  async afterAll() {
+    await server.close();
+  },
+};
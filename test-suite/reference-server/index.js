@@ -0,0 +1,137 @@
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { EngineServer } from "./engine.io.js";
+import { SocketIOServer } from "./socket.io.js";
+
+const DEFAULT_OPTIONS = {
+  path: "/socket.io/",
+  pingInterval: 300,
+  pingTimeout: 200,
+  maxPayload: 1000000,
+  cors: {
+    origin: "*",
+  },
+};
+
+/**
+ * Registers the handlers expected by the test suite (see the "Test suite" section of the Readme).
+ */
+function registerHandlers(io) {
+  const registerAckHandlers = (socket) => {
+    socket.on("message-with-ack", (...args) => {
+      const ack = args.pop();
+      ack(...args);
+    });
+
+    socket.on("emit-with-ack", (...args) => {
+      socket.emit("emit-with-ack", ...args, (...ackArgs) => {
+        socket.emit("emit-with-ack", ...ackArgs);
+      });
+    });
+  };
+
+  const registerDisconnectHandlers = (socket) => {
+    socket.on("server-disconnect", () => {
+      socket.disconnect();
+    });
+
+    socket.on("server-disconnect-all", () => {
+      socket.disconnect(true);
+    });
+
+    socket.on("server-close", () => {
+      socket.conn.close();
+    });
+  };
+
+  io.on("connection", (socket) => {
+    socket.emit("auth", socket.handshake.auth);
+
+    socket.on("message", (...args) => {
+      socket.emit("message-back", ...args);
+    });
+
+    registerAckHandlers(socket);
+    registerDisconnectHandlers(socket);
+  });
+
+  io.of("/custom").on("connection", (socket) => {
+    socket.emit("auth", socket.handshake.auth);
+
+    registerAckHandlers(socket);
+    registerDisconnectHandlers(socket);
+  });
+
+  io.of(/^\/dynamic-\d+$/).on("connection", (socket) => {
+    socket.emit("auth", socket.handshake.auth);
+  });
+}
+
+/**
+ * Registers the handlers of the server with connection state recovery (see the "recovery-path" option).
+ */
+function registerRecoveryHandlers(io) {
+  io.on("connection", (socket) => {
+    socket.on("broadcast", (...args) => {
+      io.emit("broadcast", ...args);
+    });
+  });
+}
+
+/**
+ * Starts the reference server. With the `recoveryPath` option, a second server with connection state recovery is
+ * attached to the same HTTP server, at the given path. The `parser` option is one of the values of PARSERS, and the
+ * `closeOnLastNamespace` option only applies to the main server.
+ *
+ * @return {Promise<{ port: number, close: () => Promise<void> }>}
+ */
+export async function startServer(port, opts = {}) {
+  opts = { ...DEFAULT_OPTIONS, ...opts };
+
+  const httpServer = createServer();
+  const engine = new EngineServer(opts);
+  const io = new SocketIOServer(engine, {
+    parser: opts.parser,
+    closeOnLastNamespace: opts.closeOnLastNamespace,
+  });
+
+  engine.attach(httpServer);
+  registerHandlers(io);
+
+  const engines = [engine];
+
+  if (opts.recoveryPath) {
+    const recoveryEngine = new EngineServer({
+      ...opts,
+      path: opts.recoveryPath,
+    });
+    const recoveryIO = new SocketIOServer(recoveryEngine, {
+      parser: opts.parser,
+      connectionStateRecovery: {},
+    });
+
+    recoveryEngine.attach(httpServer);
+    registerRecoveryHandlers(recoveryIO);
+    engines.push(recoveryEngine);
+  }
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, resolve);
+  });
+
+  return {
+    port: httpServer.address().port,
+    close() {
+      engines.forEach((engine) => engine.close());
+      httpServer.closeAllConnections();
+      return new Promise((resolve) => httpServer.close(() => resolve()));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT ?? 3000);
+  await startServer(port);
+  console.log(`reference server listening on port ${port}`);
+}
@@ -0,0 +1,431 @@
+import { EventEmitter } from "node:events";
+import { generateId } from "./engine.io.js";
+import { PacketType } from "../codec.js";
+import { PARSERS } from "../parsers.js";
+
+// the disconnections after which the session can be restored (see the "connectionStateRecovery" option)
+const RECOVERABLE_REASONS = new Set([
+  "transport close",
+  "transport error",
+  "ping timeout",
+  "forced close",
+]);
+
+/**
+ * A Socket.IO connection to a given namespace.
+ *
+ * Unlike a plain EventEmitter, `emit()` sends an event to the client. The events sent by the client are dispatched to
+ * the listeners registered with `on()`.
+ */
+class Socket extends EventEmitter {
+  connected = true;
+  acks = new Map();
+  nextAckId = 1;
+
+  constructor(nsp, client, auth, session) {
+    super();
+    this.id = session?.sid ?? generateId();
+    // the private session ID, which allows the client to restore its session
+    this.pid = nsp.recovery ? session?.pid ?? generateId() : undefined;
+    this.recovered = session !== undefined;
+    this.nsp = nsp;
+    this.client = client;
+    // the underlying Engine.IO session
+    this.conn = client.conn;
+    this.handshake = { auth };
+  }
+
+  emit(event, ...args) {
+    const packet = { type: PacketType.EVENT, nsp: this.nsp.name };
+
+    if (typeof args[args.length - 1] === "function") {
+      packet.id = this.nextAckId++;
+      this.acks.set(packet.id, args.pop());
+    }
+
+    packet.data = [event, ...args];
+
+    if (packet.id === undefined) {
+      this.nsp.persist(packet.data, this.id);
+    }
+
+    this.packet(packet);
+    return true;
+  }
+
+  packet(packet) {
+    if (this.connected) {
+      this.client.writePacket(packet);
+    }
+  }
+
+  /**
+   * Disconnects the client from the namespace, or from all namespaces before closing the Engine.IO session if `close`
+   * is true.
+   */
+  disconnect(close = false) {
+    if (!this.connected) {
+      return this;
+    }
+    if (close) {
+      this.client.disconnect();
+    } else {
+      this.packet({ type: PacketType.DISCONNECT, nsp: this.nsp.name });
+      this.onclose("server namespace disconnect");
+    }
+    return this;
+  }
+
+  onpacket(packet) {
+    switch (packet.type) {
+      case PacketType.EVENT:
+      case PacketType.BINARY_EVENT:
+        this.onevent(packet);
+        break;
+      case PacketType.ACK:
+      case PacketType.BINARY_ACK:
+        this.onack(packet);
+        break;
+      case PacketType.DISCONNECT:
+        this.onclose("client namespace disconnect");
+        break;
+    }
+  }
+
+  onevent(packet) {
+    const args = [...packet.data];
+    if (packet.id !== undefined) {
+      args.push(this.ack(packet.id));
+    }
+    super.emit(...args);
+  }
+
+  ack(id) {
+    let sent = false;
+    return (...args) => {
+      if (sent) {
+        return;
+      }
+      sent = true;
+      this.packet({ type: PacketType.ACK, nsp: this.nsp.name, id, data: args });
+    };
+  }
+
+  onack(packet) {
+    const ack = this.acks.get(packet.id);
+    if (ack) {
+      this.acks.delete(packet.id);
+      ack(...packet.data);
+    }
+  }
+
+  onclose(reason) {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    this.acks.clear();
+    this.client.remove(this);
+    this.nsp.sockets.delete(this.id);
+    if (RECOVERABLE_REASONS.has(reason)) {
+      this.nsp.persistSession(this);
+    }
+    super.emit("disconnect", reason);
+  }
+}
+
+/**
+ * A namespace, whose `emit()` method broadcasts an event to all connected clients. The "connection" events are
+ * dispatched with `emitReserved()`.
+ *
+ * With connection state recovery, the events sent without acknowledgement carry an offset as their last argument, and
+ * are kept so that they can be replayed to a client which reconnects within `maxDisconnectionDuration`.
+ */
+class Namespace extends EventEmitter {
+  sockets = new Map();
+  // { id, data, sid, time } (the sid being undefined for the broadcasts)
+  packets = [];
+  // private session ID => { sid, pid, time }
+  sessions = new Map();
+
+  constructor(name, recovery) {
+    super();
+    this.name = name;
+    this.recovery = recovery && {
+      maxDisconnectionDuration: 2 * 60 * 1000,
+      ...recovery,
+    };
+  }
+
+  add(client, auth, session) {
+    const socket = new Socket(this, client, auth, session);
+    this.sockets.set(socket.id, socket);
+    return socket;
+  }
+
+  emit(event, ...args) {
+    const data = [event, ...args];
+    this.persist(data);
+
+    for (const socket of this.sockets.values()) {
+      socket.packet({ type: PacketType.EVENT, nsp: this.name, data });
+    }
+    return true;
+  }
+
+  emitReserved(event, ...args) {
+    return super.emit(event, ...args);
+  }
+
+  // append the offset of the event to its arguments, and keep it in case a client needs to restore its session
+  persist(data, sid) {
+    if (!this.recovery) {
+      return;
+    }
+    const id = generateId();
+    data.push(id);
+    this.packets.push({ id, data, sid, time: Date.now() });
+    this.prune();
+  }
+
+  persistSession(socket) {
+    if (this.recovery) {
+      this.sessions.set(socket.pid, {
+        sid: socket.id,
+        pid: socket.pid,
+        time: Date.now(),
+      });
+    }
+  }
+
+  /**
+   * @return {{ sid, pid, missedPackets: any[][] }|undefined} the session, unless it is unknown or has expired, or the
+   * offset is unknown
+   */
+  restoreSession(pid, offset) {
+    this.prune();
+
+    const session = this.sessions.get(pid);
+    const index = this.packets.findIndex((packet) => packet.id === offset);
+
+    if (!session || index === -1) {
+      return;
+    }
+
+    this.sessions.delete(pid);
+
+    const missedPackets = this.packets
+      .slice(index + 1)
+      .filter(
+        (packet) => packet.sid === undefined || packet.sid === session.sid
+      )
+      .map((packet) => packet.data);
+
+    return { ...session, missedPackets };
+  }
+
+  prune() {
+    const expiration = Date.now() - this.recovery.maxDisconnectionDuration;
+
+    while (this.packets.length > 0 && this.packets[0].time < expiration) {
+      this.packets.shift();
+    }
+    for (const [pid, session] of this.sessions) {
+      if (session.time < expiration) {
+        this.sessions.delete(pid);
+      }
+    }
+  }
+}
+
+/**
+ * The Socket.IO session bound to an Engine.IO session, which may be connected to several namespaces.
+ *
+ * With the 4th revision of the protocol (Engine.IO v3), the client is implicitly connected to the main namespace, the
+ * auth payload of the other namespaces is sent in a query string (`40/custom?token=abc,`) and the CONNECT and
+ * CONNECT_ERROR packets sent by the server respectively contain no payload and a plain string.
+ */
+class Client {
+  // namespace name => Socket
+  nsps = new Map();
+
+  constructor(server, conn) {
+    this.server = server;
+    this.conn = conn;
+    this.decoder = new server.parser.Decoder();
+    this.legacy = conn.protocol === 3;
+
+    conn.on("message", (data) => this.ondata(data));
+    conn.once("close", (reason) => this.onclose(reason));
+
+    if (this.legacy) {
+      this.connect("/", {});
+    }
+  }
+
+  ondata(data) {
+    let packet;
+    try {
+      packet = this.decoder.add(data);
+    } catch (e) {
+      this.conn.close();
+      return;
+    }
+    if (packet) {
+      this.ondecoded(packet);
+    }
+  }
+
+  ondecoded(packet) {
+    const socket = this.nsps.get(packet.nsp);
+
+    if (this.legacy && packet.type === PacketType.CONNECT) {
+      const [name, query = ""] = packet.nsp.split("?");
+      if (this.nsps.has(name)) {
+        return this.conn.close();
+      }
+      this.connect(name, Object.fromEntries(new URLSearchParams(query)));
+    } else if (!socket && packet.type === PacketType.CONNECT) {
+      this.connect(packet.nsp, packet.data ?? {});
+    } else if (
+      socket &&
+      packet.type !== PacketType.CONNECT &&
+      packet.type !== PacketType.CONNECT_ERROR
+    ) {
+      socket.onpacket(packet);
+    } else {
+      // invalid state
+      this.conn.close();
+    }
+  }
+
+  connect(name, auth) {
+    const nsp = this.server.nsps.get(name) ?? this.server.ofDynamic(name);
+
+    if (!nsp) {
+      this.writePacket({
+        type: PacketType.CONNECT_ERROR,
+        nsp: name,
+        data: this.legacy
+          ? "Invalid namespace"
+          : { message: "Invalid namespace" },
+      });
+      return;
+    }
+
+    const session =
+      nsp.recovery &&
+      typeof auth.pid === "string" &&
+      typeof auth.offset === "string"
+        ? nsp.restoreSession(auth.pid, auth.offset)
+        : undefined;
+
+    const socket = nsp.add(this, auth, session);
+    this.nsps.set(name, socket);
+    this.writePacket({
+      type: PacketType.CONNECT,
+      nsp: name,
+      data: this.legacy ? undefined : { sid: socket.id, pid: socket.pid },
+    });
+
+    // the events which were sent while the client was disconnected
+    for (const data of session?.missedPackets ?? []) {
+      socket.packet({ type: PacketType.EVENT, nsp: name, data });
+    }
+
+    nsp.emitReserved("connection", socket);
+  }
+
+  writePacket(packet) {
+    for (const encoded of this.server.parser.encode(packet)) {
+      this.conn.send(encoded);
+    }
+  }
+
+  remove(socket) {
+    this.nsps.delete(socket.nsp.name);
+
+    if (this.server.opts.closeOnLastNamespace && this.nsps.size === 0) {
+      this.conn.close();
+    }
+  }
+
+  disconnect() {
+    for (const socket of this.nsps.values()) {
+      socket.disconnect();
+    }
+    this.conn.close();
+  }
+
+  onclose(reason) {
+    for (const socket of this.nsps.values()) {
+      socket.onclose(reason);
+    }
+  }
+}
+
+/**
+ * A minimal Socket.IO v5 server, written from the specification.
+ *
+ * @param opts.connectionStateRecovery {{ maxDisconnectionDuration?: number }} enables connection state recovery
+ * @param opts.parser {object} the parser of the Socket.IO packets, one of the values of PARSERS (default: the JSON one)
+ * @param opts.closeOnLastNamespace {boolean} whether the Engine.IO session is closed once the client is disconnected
+ * from all namespaces
+ */
+export class SocketIOServer {
+  nsps = new Map();
+  // [regex, parent namespace], see of()
+  dynamicNsps = [];
+
+  constructor(engine, opts = {}) {
+    this.engine = engine;
+    this.opts = opts;
+    this.parser = opts.parser ?? PARSERS.json;
+    this.of("/");
+
+    engine.on("connection", (conn) => new Client(this, conn));
+  }
+
+  /**
+   * @param name {string|RegExp} the name of the namespace, or a regular expression matching the names of the dynamic
+   * namespaces (the "connection" events of the matching namespaces being emitted by the returned parent namespace)
+   */
+  of(name) {
+    if (name instanceof RegExp) {
+      const parent = new Namespace(
+        name.source,
+        this.opts.connectionStateRecovery
+      );
+      this.dynamicNsps.push([name, parent]);
+      return parent;
+    }
+    if (!this.nsps.has(name)) {
+      this.nsps.set(
+        name,
+        new Namespace(name, this.opts.connectionStateRecovery)
+      );
+    }
+    return this.nsps.get(name);
+  }
+
+  // create the namespace if its name matches one of the dynamic namespaces
+  ofDynamic(name) {
+    const match = this.dynamicNsps.find(([regex]) => regex.test(name));
+    if (!match) {
+      return;
+    }
+    const [, parent] = match;
+    const nsp = this.of(name);
+    nsp.on("connection", (socket) => parent.emitReserved("connection", socket));
+    return nsp;
+  }
+
+  on(event, listener) {
+    this.of("/").on(event, listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    return this.of("/").emit(event, ...args);
+  }
+}
@@ -0,0 +1,175 @@
+// Conformance report, which groups the results of the test suite by section of the specification. The section of a
+// test is the "section" property of its closest enclosing suite (`this.section = "..."` in the `describe()` callback).
+//
+// Usable in both the browser and Node.js (see the reporter.cjs file).
+
+const UNTAGGED = "Other";
+
+/**
+ * Records the results of a Mocha run.
+ *
+ * @param runner the Mocha runner, as returned by `mocha.run()`
+ * @return {{ test, state: "passed"|"failed"|"pending", err?: Error }[]} the results, filled as the tests complete
+ */
+export function recordResults(runner) {
+  const results = [];
+
+  runner.on("pass", (test) => results.push({ test, state: "passed" }));
+  runner.on("fail", (test, err) =>
+    results.push({ test, state: "failed", err })
+  );
+  runner.on("pending", (test) => results.push({ test, state: "pending" }));
+
+  return results;
+}
+
+export function sectionOf(test) {
+  for (let suite = test.parent; suite; suite = suite.parent) {
+    if (suite.section) {
+      return suite.section;
+    }
+  }
+  return UNTAGGED;
+}
+
+function emptyCounts() {
+  return { total: 0, passed: 0, failed: 0, pending: 0 };
+}
+
+// the ratio of passing tests, the pending (skipped) ones being excluded
+function compliance({ passed, failed }) {
+  return passed + failed === 0 ? 1 : passed / (passed + failed);
+}
+
+/**
+ * Builds the conformance report from the results of a run.
+ *
+ * A failure outside a test (for example in a `before()` hook) is reported in the section of the hook.
+ *
+ * @param results {{ test, state: string, err?: Error }[]} the results returned by `recordResults()`
+ * @param metadata {object} additional information about the run (like the tested URL and the protocol revision)
+ */
+export function createReport(results, metadata = {}) {
+  const sections = new Map();
+  const summary = emptyCounts();
+
+  for (const { test, state, err } of results) {
+    const name = sectionOf(test);
+
+    if (!sections.has(name)) {
+      sections.set(name, { name, ...emptyCounts(), tests: [] });
+    }
+    const section = sections.get(name);
+
+    for (const counts of [section, summary]) {
+      counts.total++;
+      counts[state]++;
+    }
+
+    const entry = {
+      title: test.fullTitle(),
+      state,
+      duration: test.duration ?? 0,
+    };
+
+    if (err) {
+      entry.error = { message: String(err.message), stack: err.stack };
+    }
+
+    section.tests.push(entry);
+  }
+
+  return {
+    ...metadata,
+    date: new Date().toISOString(),
+    summary: { ...summary, compliance: compliance(summary) },
+    sections: [...sections.values()].map((section) => ({
+      ...section,
+      compliance: compliance(section),
+    })),
+  };
+}
+
+const XML_ENTITIES = {
+  "<": "&lt;",
+  ">": "&gt;",
+  "&": "&amp;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (c) => XML_ENTITIES[c]);
+}
+
+// 'name="..." tests="..."'
+function attributes(values) {
+  return Object.entries(values)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(" ");
+}
+
+function seconds(tests) {
+  const ms = tests.reduce((sum, test) => sum + test.duration, 0);
+  return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Converts a conformance report to the JUnit XML format, with one <testsuite> element per section.
+ */
+export function toJUnit(report) {
+  const { summary, sections } = report;
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  const suitesAttributes = attributes({
+    name: "Socket.IO protocol",
+    tests: summary.total,
+    failures: summary.failed,
+    skipped: summary.pending,
+    time: seconds(sections.flatMap((section) => section.tests)),
+  });
+  lines.push(`<testsuites ${suitesAttributes}>`);
+
+  for (const section of sections) {
+    const suiteAttributes = attributes({
+      name: section.name,
+      tests: section.total,
+      failures: section.failed,
+      skipped: section.pending,
+      time: seconds(section.tests),
+    });
+    lines.push(`  <testsuite ${suiteAttributes}>`);
+
+    for (const test of section.tests) {
+      const testAttributes = attributes({
+        classname: section.name,
+        name: test.title,
+        time: seconds([test]),
+      });
+
+      if (test.state === "passed") {
+        lines.push(`    <testcase ${testAttributes}/>`);
+        continue;
+      }
+
+      lines.push(`    <testcase ${testAttributes}>`);
+      if (test.state === "pending") {
+        lines.push("      <skipped/>");
+      } else {
+        const { message, stack } = test.error;
+        lines.push(
+          `      <failure ${attributes({ message })}>${escapeXml(
+            stack ?? message
+          )}</failure>`
+        );
+      }
+      lines.push("    </testcase>");
+    }
+
+    lines.push("  </testsuite>");
+  }
+
+  lines.push("</testsuites>");
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,62 @@
+// Mocha reporter for Node.js, which prints the usual "spec" output and writes the conformance report (see report.js).
+//
+// Usage: mocha test-suite.js --reporter ./reporter.cjs --reporter-option json=report.json,junit=report.xml
+//
+// This file is a CommonJS module, as Mocha loads the reporters with require().
+const { writeFile } = require("node:fs/promises");
+const Spec = require("mocha/lib/reporters/spec");
+
+class ConformanceReporter extends Spec {
+  results = [];
+
+  constructor(runner, options) {
+    super(runner, options);
+    this.reporterOptions = options.reporterOption ?? {};
+
+    // same as recordResults() in report.js, which cannot be loaded synchronously
+    runner.on("pass", (test) => this.results.push({ test, state: "passed" }));
+    runner.on("fail", (test, err) =>
+      this.results.push({ test, state: "failed", err })
+    );
+    runner.on("pending", (test) =>
+      this.results.push({ test, state: "pending" })
+    );
+  }
+
+  // called by Mocha before exiting
+  done(failures, callback) {
+    this.writeReport().then(
+      () => callback(failures),
+      (err) => {
+        console.error("could not write the conformance report:", err);
+        callback(failures);
+      }
+    );
+  }
+
+  async writeReport() {
+    const { config } = await import("./config.js");
+    const { createReport, toJUnit } = await import("./report.js");
+
+    const report = createReport(this.results, {
+      url: config.url,
+      path: config.path,
+      protocol: config.protocol,
+    });
+
+    const { json = "report.json", junit = "report.xml" } = this.reporterOptions;
+
+    await writeFile(json, JSON.stringify(report, null, 2) + "\n");
+    await writeFile(junit, toJUnit(report));
+
+    const { passed, failed, compliance } = report.summary;
+    const percentage = (compliance * 100).toFixed(1);
+    const total = passed + failed;
+
+    console.log(
+      `  compliance: ${percentage}% (${passed}/${total}), report written to ${json} and ${junit}\n`
+    );
+  }
+}
+
+module.exports = ConformanceReporter;
@@ -0,0 +1,116 @@
+// Resource tracking: the WebSocket connections and the HTTP long-polling sockets (see PollingSocket) which are opened
+// during a test are recorded, so that the ones which are still open once the test is complete can be reported and
+// closed, instead of bleeding into the following tests. The HTTP long-polling sessions which are opened with plain HTTP
+// requests are recorded too, and closed once the test is complete.
+
+// the resources of the test being run, if any
+let current = null;
+
+// the HTTP long-polling sessions of the test being run (see trackPollingSession()), the URL of each session being mapped
+// to its encoded CLOSE packet
+let sessions = null;
+
+/**
+ * Starts tracking the resources of a new test.
+ */
+export function startTracking() {
+  current = new Set();
+  sessions = new Map();
+}
+
+/**
+ * Records a socket in the resources of the current test.
+ *
+ * @param socket {{ url: string, readyState: number, close: Function }} a WebSocket or a PollingSocket
+ */
+export function track(socket) {
+  current?.add(socket);
+}
+
+/**
+ * Removes a socket from the resources of the current test, like a PollingSocket once its session is upgraded.
+ */
+export function untrack(socket) {
+  current?.delete(socket);
+}
+
+/**
+ * Records an HTTP long-polling session opened with plain HTTP requests, whose state is not known: it is closed with a
+ * CLOSE packet once the test is complete, whether it is still open or not.
+ *
+ * @param url {string} the URL of the session, with the "sid" query parameter
+ * @param payload {string} the HTTP long-polling payload with the CLOSE packet
+ */
+export function trackPollingSession(url, payload) {
+  sessions?.set(url, payload);
+}
+
+/**
+ * Extends the WebSocket class, so that the connections are tracked.
+ */
+export function trackWebSocket(BaseWebSocket) {
+  return class extends BaseWebSocket {
+    constructor(url, ...args) {
+      super(url, ...args);
+      track(this);
+    }
+  };
+}
+
+// the sockets of the current test which are still open (CONNECTING being 0 and OPEN being 1 for both WebSocket and
+// PollingSocket)
+function openSockets() {
+  return [...(current ?? [])].filter((socket) => socket.readyState <= 1);
+}
+
+/**
+ * Stops tracking the resources of the current test, and closes the sockets and the sessions which are still open.
+ */
+export async function stopTracking() {
+  const sockets = openSockets();
+  const remainingSessions = [...(sessions ?? [])];
+  current = null;
+  sessions = null;
+
+  for (const socket of sockets) {
+    socket.close();
+  }
+
+  await Promise.all(
+    remainingSessions.map(([url, payload]) =>
+      // the sessions which were already closed or upgraded are rejected with an HTTP 400 response
+      fetch(url, { method: "post", body: payload })
+        .then((response) => response.text())
+        .catch(() => {})
+    )
+  );
+}
+
+/**
+ * Makes the tests of the given suite and of its nested suites fail when they leave sockets open, as a Mocha hook cannot
+ * change the result of a test.
+ */
+export function failOnLeaks(suite) {
+  for (const test of suite.tests) {
+    const fn = test.fn;
+
+    if (!fn) {
+      // pending test
+      continue;
+    }
+
+    test.fn = async function () {
+      await fn.call(this);
+
+      const leaked = openSockets().map((socket) => socket.url);
+
+      if (leaked.length > 0) {
+        throw new Error(
+          `the test left ${leaked.length} socket(s) open: ${leaked.join(", ")}`
+        );
+      }
+    };
+  }
+
+  suite.suites.forEach(failOnLeaks);
+}
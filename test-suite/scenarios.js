@@ -0,0 +1,352 @@
+// The declarative scenarios of the scenarios/ directory: each JSON file describes an Engine.IO session as a sequence of
+// steps (the frames sent by the client, the frames expected from the server, the delays), and is turned into one test
+// per transport, in both the browser and Node.js:
+//
+// {
+//   "title": "should echo an event",
+//   "section": "Sending and receiving data",
+//   "protocol": 5,
+//   "parser": "json",
+//   "steps": [
+//     { "expect": { "prefix": "0", "json": { "sid": "<string>", "upgrades": "<array>", ... } } },
+//     { "send": "40" },
+//     ...
+//   ]
+// }
+//
+// See the "Test suite" section of the Readme for the complete format.
+import { config } from "./config.js";
+import { isBinary, toBytes } from "./codec.js";
+import { parseBuffer } from "./docs.js";
+import { openSession, TRANSPORTS, waitFor, withTimeout } from "./transports.js";
+import { sleep } from "./helpers.js";
+
+const { expect } = chai;
+
+const isNodejs = typeof window === "undefined";
+
+const SCENARIOS_URL = new URL("./scenarios/", import.meta.url);
+
+// the placeholders of the expected JSON values, which match any value of the given type
+const MATCHERS = {
+  "<any>": () => true,
+  "<string>": (value) => typeof value === "string",
+  "<number>": (value) => typeof value === "number",
+  "<boolean>": (value) => typeof value === "boolean",
+  "<array>": (value) => Array.isArray(value),
+  "<object>": (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+const SCENARIO_KEYS = [
+  "title",
+  "section",
+  "protocol",
+  "parser",
+  "transports",
+  "ignorePings",
+  "timeout",
+  "steps",
+];
+
+// the frame notation: a string (`<Buffer <01 02 03>>` being a binary frame), or a prefix followed by a JSON value
+function isFrame(frame) {
+  return (
+    typeof frame === "string" ||
+    (typeof frame?.prefix === "string" && "json" in frame)
+  );
+}
+
+// the terms of the "timeout" expression of a scenario, each one being a list of factors (numbers or option names)
+function parseTimeout(timeout) {
+  if (typeof timeout === "number") {
+    return [[timeout]];
+  }
+
+  const factor = (value) => {
+    const option = /^<(\w+)>$/.exec(value);
+    if (option && option[1] in config) {
+      return option[1];
+    }
+    if (/^\d+$/.test(value)) {
+      return Number(value);
+    }
+    throw new Error(`invalid timeout: ${JSON.stringify(timeout)}`);
+  };
+
+  return String(timeout)
+    .split("+")
+    .map((term) => term.split("*").map((value) => factor(value.trim())));
+}
+
+/**
+ * Resolves the "timeout" key of a scenario, which is either a number of milliseconds or a sum of products of numbers and
+ * numeric options between angle brackets, like `"4 * <pingInterval> + 4 * <pingTimeout>"`. In "learn" mode, the
+ * handshake options are only known once the first handshake is received, so the key must be resolved within the tests.
+ *
+ * @throws Error if the expression is invalid, or if an option has no numeric value
+ */
+export function resolveTimeout(timeout) {
+  const value = (factor) => {
+    if (typeof factor === "number") {
+      return factor;
+    }
+    if (typeof config[factor] !== "number") {
+      throw new Error(`no numeric value for the ${factor} option`);
+    }
+    return config[factor];
+  };
+
+  return parseTimeout(timeout)
+    .map((term) => term.map(value).reduce((a, b) => a * b))
+    .reduce((a, b) => a + b);
+}
+
+function validateStep(step) {
+  const [kind, ...others] = Object.keys(step ?? {});
+
+  if (others.length > 0) {
+    throw new Error(`more than one action in step ${JSON.stringify(step)}`);
+  }
+
+  switch (kind) {
+    case "send":
+    case "expect":
+      if (!isFrame(step[kind])) {
+        throw new Error(`invalid frame in step ${JSON.stringify(step)}`);
+      }
+      break;
+    case "wait":
+      if (!(step.wait >= 0) && step.wait !== "close") {
+        throw new Error(`invalid wait step: ${JSON.stringify(step)}`);
+      }
+      break;
+    default:
+      throw new Error(`unknown step: ${JSON.stringify(step)}`);
+  }
+}
+
+/**
+ * Checks the format of a scenario.
+ *
+ * @param file {string} the name of the file, included in the error messages
+ * @throws Error if the scenario is invalid
+ */
+export function validateScenario(file, scenario) {
+  try {
+    const unknown = Object.keys(scenario).filter(
+      (key) => !SCENARIO_KEYS.includes(key)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`unknown keys: ${unknown.join(", ")}`);
+    }
+    if (typeof scenario.title !== "string") {
+      throw new Error("missing title");
+    }
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+      throw new Error("missing steps");
+    }
+    for (const transport of scenario.transports ?? []) {
+      if (!["websocket", "polling", "upgrade"].includes(transport)) {
+        throw new Error(`unknown transport: ${transport}`);
+      }
+    }
+    if ("timeout" in scenario) {
+      parseTimeout(scenario.timeout);
+    }
+    scenario.steps.forEach(validateStep);
+  } catch (e) {
+    e.message = `invalid scenario ${file}: ${e.message}`;
+    throw e;
+  }
+
+  return { file, ...scenario };
+}
+
+/**
+ * Loads the scenarios of the given directory, in the alphabetical order of the files. In the browser, the list of files
+ * is provided by the browser runner (see browser.js).
+ *
+ * @throws Error if a file is not a JSON file, or if a scenario is invalid
+ */
+export async function loadScenarios(directory = SCENARIOS_URL) {
+  let files;
+  let read;
+
+  if (isNodejs) {
+    const { readdir, readFile } = await import("node:fs/promises");
+    files = await readdir(directory);
+    read = (file) => readFile(new URL(file, directory), "utf8");
+  } else {
+    files = await (await fetch(directory)).json();
+    read = async (file) => (await fetch(new URL(file, directory))).text();
+  }
+
+  // the hidden files (like ".gitkeep") are ignored, but not the scenarios written in another format (like YAML)
+  files = files.filter((file) => !file.startsWith("."));
+  for (const file of files) {
+    if (!file.endsWith(".json")) {
+      throw new Error(
+        `unsupported scenario file ${file}: only JSON files are supported`
+      );
+    }
+  }
+
+  return Promise.all(
+    files
+      .sort()
+      .map(async (file) => validateScenario(file, JSON.parse(await read(file))))
+  );
+}
+
+/**
+ * Encodes a frame of a "send" step.
+ *
+ * @return {string|Uint8Array}
+ */
+export function encodeFrame(frame) {
+  if (typeof frame !== "string") {
+    return frame.prefix + JSON.stringify(frame.json);
+  }
+  const buffer = /^<Buffer <([0-9a-f ]*)>>$/.exec(frame);
+  return buffer ? parseBuffer(buffer[1]) : frame;
+}
+
+// the expected value, with the placeholders replaced by the actual values they match
+function resolveMatchers(expected, actual) {
+  if (typeof expected === "string" && expected in MATCHERS) {
+    return MATCHERS[expected](actual) ? actual : expected;
+  }
+  if (
+    expected === null ||
+    typeof expected !== "object" ||
+    actual === null ||
+    typeof actual !== "object"
+  ) {
+    return expected;
+  }
+  if (Array.isArray(expected)) {
+    return expected.map((item, i) => resolveMatchers(item, actual[i]));
+  }
+  return Object.fromEntries(
+    Object.entries(expected).map(([key, value]) => [
+      key,
+      resolveMatchers(value, actual[key]),
+    ])
+  );
+}
+
+/**
+ * Checks a frame received from the server against the frame of an "expect" step.
+ */
+export function expectFrame(actual, frame) {
+  const expected = encodeFrame(frame);
+
+  if (isBinary(expected)) {
+    expect(isBinary(actual), "binary frame").to.eql(true);
+    expect([...toBytes(actual)]).to.eql([...expected]);
+    return;
+  }
+
+  expect(actual).to.be.a("string");
+
+  if (typeof frame === "string") {
+    expect(actual).to.eql(expected);
+    return;
+  }
+
+  expect(actual.slice(0, frame.prefix.length), "prefix").to.eql(frame.prefix);
+
+  let value;
+  try {
+    value = JSON.parse(actual.slice(frame.prefix.length));
+  } catch (e) {
+    throw new Error(`invalid JSON content: ${actual}`);
+  }
+
+  expect(value).to.eql(resolveMatchers(frame.json, value));
+}
+
+// the heartbeat packets, which are answered and skipped when they are not expected (see the "ignorePings" key)
+function isHeartbeat(data) {
+  return data === "2" || (config.eio === 3 && data === "3");
+}
+
+/**
+ * Replays the steps of a scenario over a new Engine.IO session, the Engine.IO handshake being the first received frame.
+ */
+export async function runScenario(scenario, transport) {
+  const { socket, handshake } = await openSession(transport);
+  const ignorePings = scenario.ignorePings ?? true;
+  let pending = handshake;
+
+  const read = async (frame) => {
+    while (true) {
+      const data = pending ?? (await waitFor(socket, "message")).data;
+      pending = undefined;
+
+      if (ignorePings && isHeartbeat(data) && encodeFrame(frame) !== data) {
+        if (data === "2") {
+          socket.send("3");
+        }
+        continue;
+      }
+      return data;
+    }
+  };
+
+  // the skipped heartbeat packets are included in the delay
+  const next = (frame) =>
+    withTimeout(
+      read(frame),
+      `the frame ${JSON.stringify(frame)} (${socket.url})`
+    );
+
+  try {
+    for (const step of scenario.steps) {
+      if ("send" in step) {
+        socket.send(encodeFrame(step.send));
+      } else if ("expect" in step) {
+        expectFrame(await next(step.expect), step.expect);
+      } else if (step.wait === "close") {
+        await waitFor(socket, "close");
+      } else {
+        await sleep(step.wait);
+      }
+    }
+  } finally {
+    socket.close();
+  }
+}
+
+/**
+ * Defines the tests of the scenarios: one test per transport (see the "transport" option and the "transports" key), the
+ * scenarios which target another revision of the protocol or another parser being skipped.
+ */
+export function describeScenarios(scenarios) {
+  describe("Scenarios", () => {
+    for (const scenario of scenarios) {
+      const enabled =
+        (scenario.protocol ?? config.protocol) === config.protocol &&
+        (scenario.parser ?? config.parser) === config.parser;
+      const itScenario = enabled ? it : it.skip;
+
+      describe(scenario.title, function () {
+        this.section = scenario.section ?? "Scenarios";
+
+        for (const [transport, title] of Object.entries(TRANSPORTS)) {
+          if (scenario.transports?.includes(transport) === false) {
+            continue;
+          }
+          itScenario(`${title} (${scenario.file})`, function () {
+            // resolved here, as the options may only be known after the first handshake (see resolveTimeout())
+            if (scenario.timeout) {
+              this.timeout(resolveTimeout(scenario.timeout));
+            }
+            return runScenario(scenario, transport);
+          });
+        }
+      });
+    }
+  });
+}
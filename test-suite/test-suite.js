@@ -1,3 +1,41 @@
+import { config } from "./config.js";
+import {
+  decodePacket,
+  decodePayload,
+  encodePacket,
+  joinPayload,
+  PacketType,
+} from "./codec.js";
+import { TRANSPORTS, waitFor, withTimeout } from "./transports.js";
+import {
+  expectHandshake,
+  initEngineIOSession,
+  initSocketIOConnection,
+  parseHandshake,
+  parser,
+  sendPacket,
+  sleep,
+  waitForPacket,
+  waitForPackets,
+} from "./helpers.js";
+import { createRandom, MALFORMED_PACKETS } from "./fuzz.js";
+import {
+  formatTranscript,
+  recordFetch,
+  recordWebSocket,
+  saveTranscript,
+  startTranscript,
+  stopTranscript,
+} from "./transcript.js";
+import { describeScenarios, loadScenarios } from "./scenarios.js";
+import {
+  failOnLeaks,
+  startTracking,
+  stopTracking,
+  trackPollingSession,
+  trackWebSocket,
+} from "./resources.js";
+
 const isNodejs = typeof window === "undefined";
 
 if (isNodejs) {
@@ -5,139 +43,399 @@ if (isNodejs) {
   await import("./node-imports.js");
 }
 
+// record the requests and the WebSocket frames of each test
+globalThis.fetch = recordFetch(globalThis.fetch);
+globalThis.WebSocket = recordWebSocket(globalThis.WebSocket);
+// track the connections of each test, which are closed once the test is complete
+globalThis.WebSocket = trackWebSocket(globalThis.WebSocket);
+
 const { expect } = chai;
 
-const URL = "http://localhost:3000";
-const WS_URL = URL.replace("http", "ws");
+const { CONNECT, DISCONNECT, EVENT, ACK, CONNECT_ERROR } = PacketType;
 
-const PING_INTERVAL = 300;
-const PING_TIMEOUT = 200;
+// the msgpack parser sends the binary data as is, in EVENT and ACK packets (see the "parser" option)
+const BINARY_EVENT = parser.attachments ? PacketType.BINARY_EVENT : EVENT;
+const BINARY_ACK = parser.attachments ? PacketType.BINARY_ACK : ACK;
 
-function sleep(delay) {
-  return new Promise((resolve) => setTimeout(resolve, delay));
-}
+const URL = `${config.url}${config.path}`;
+const WS_URL = URL.replace("http", "ws");
 
-async function waitFor(socket, eventType) {
-  if (eventType == "message" && isNodejs) {
-    const { value: data } = await socket.iterator().next();
-    return { data };
+// the tests which only apply to the current revision of the protocol (Socket.IO v5 / Engine.IO v4), or to the legacy
+// one (Socket.IO v4 / Engine.IO v3, see the "protocol" option)
+const itV5 = config.protocol === 5 ? it : it.skip;
+const itV4 = config.protocol === 4 ? it : it.skip;
+const describeV5 = config.protocol === 5 ? describe : describe.skip;
+// the optional part of the contract (see the "dynamic-namespaces" option)
+const itDynamic = config.dynamicNamespaces ? it : it.skip;
+// the connection state recovery tests run against another server (see the "recovery-path" option)
+const describeRecovery =
+  config.protocol === 5 && config.recoveryPath ? describe : describe.skip;
+// the tests which exchange packets hand-encoded with the default parser (see the "parser" option)
+const itJSON = config.parser === "json" ? it : it.skip;
+const describeJSON = config.parser === "json" ? describe : describe.skip;
+// whether the session outlives the connections to the namespaces (see the "close-on-last-namespace" option)
+const itKeepSession = config.closeOnLastNamespace ? it.skip : it;
+const itCloseOnLastNamespace = config.closeOnLastNamespace ? it : it.skip;
+// the Origin header cannot be set nor the CORS headers read from a page, and the cookies cannot be read (see the
+// "cors-origin" and "cookie" options)
+const itCORS = isNodejs && config.corsOrigin ? it : it.skip;
+const itCookie = isNodejs && config.cookie ? it : it.skip;
+
+// the origin of the CORS requests, which must be allowed by the server
+const ORIGIN =
+  config.corsOrigin === "*" ? "https://example.com" : config.corsOrigin;
+
+// checks that the session is still open: the server sends a ping packet, or responds to ours with the 3rd revision of
+// the Engine.IO protocol
+async function expectHeartbeat(socket) {
+  if (config.eio === 3) {
+    socket.send("2");
   }
 
-  return new Promise((resolve) => {
-    socket.addEventListener(
-      eventType,
-      (event) => {
-        resolve(event);
-      },
-      { once: true }
-    );
+  const { data } = await waitFor(socket, "message", {
+    description: config.eio === 3 ? "a pong packet" : "a ping packet",
   });
+
+  expect(data).to.eql(config.eio === 3 ? "3" : "2");
 }
 
-async function waitForPackets(socket, count) {
-  const packets = [];
-  if (isNodejs) {
-    for await (const packet of socket.iterator()) {
-      packets.push(packet);
-      if (packets.length === count) {
-        return packets;
-      }
+// checks a measured delay, the timers of the server and the network adding some latency
+function expectDelay(delay, expected) {
+  const tolerance = Math.max(100, expected * 0.1);
+
+  expect(delay).to.be.within(expected - tolerance, expected + tolerance);
+}
+
+// the encoded packets of an HTTP long-polling payload
+function splitPayload(content) {
+  return decodePayload(content, config.eio).map((packet) =>
+    encodePacket(packet, false, config.eio)
+  );
+}
+
+// a binary message packet in its HTTP long-polling form, from the base64-encoded data
+function base64Packet(data) {
+  return config.eio === 3 ? `b4${data}` : `b${data}`;
+}
+
+// parse the handshake of a session opened with plain HTTP requests, which will be closed once the test is complete (see
+// trackPollingSession())
+function parsePollingHandshake(handshake) {
+  const value = parseHandshake(handshake);
+  trackPollingSession(
+    `${URL}?EIO=${config.eio}&transport=polling&sid=${value.sid}`,
+    joinPayload(["1"], config.eio)
+  );
+  return value;
+}
+
+async function initLongPollingSession() {
+  const response = await fetch(`${URL}?EIO=${config.eio}&transport=polling`);
+  const [handshake, ...packets] = splitPayload(await response.text());
+  const value = parsePollingHandshake(handshake);
+  expectHandshake(value, ["websocket"]);
+
+  if (config.protocol === 4) {
+    // the client is implicitly connected to the main namespace
+    while (packets.length < 2) {
+      packets.push(...(await poll(value.sid))); // Socket.IO handshake and "auth" packet
     }
   }
 
-  return new Promise((resolve) => {
-    const handler = (event) => {
-      if (event.data === "2") {
-        // ignore PING packets
-        return;
-      }
-      packets.push(event.data);
-      if (packets.length === count) {
-        socket.removeEventListener("message", handler);
-        resolve(packets);
-      }
-    };
-    socket.addEventListener("message", handler);
-  });
+  return value.sid;
 }
 
-async function initLongPollingSession() {
-  const response = await fetch(`${URL}/socket.io/?EIO=4&transport=polling`);
+// return the packets of the next HTTP long-polling response, ignoring the PING packets
+async function poll(sid) {
+  const response = await withTimeout(
+    fetch(`${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`),
+    `the response to the GET request of the session ${sid}`
+  );
+
+  expect(response.status).to.eql(200);
+
   const content = await response.text();
-  return JSON.parse(content.substring(1)).sid;
+
+  return splitPayload(content).filter((packet) => packet !== "2");
+}
+
+// return the next packets received over HTTP long-polling, ignoring the noop packets
+async function pollPackets(sid, count) {
+  const packets = [];
+  while (packets.length < count) {
+    packets.push(...(await poll(sid)).filter((packet) => packet !== "6"));
+  }
+  return packets;
+}
+
+// poll until the pending GET request is released with a noop packet during an upgrade, and return the other packets
+// received meanwhile
+async function pollUntilNoop(sid) {
+  const packets = [];
+  while (true) {
+    const received = await poll(sid);
+    packets.push(...received.filter((packet) => packet !== "6"));
+    if (received.includes("6")) {
+      return packets;
+    }
+  }
 }
 
-async function initSocketIOConnection() {
+// open a WebSocket connection for the given session and send the probe
+async function probe(sid) {
   const socket = new WebSocket(
-    `${WS_URL}/socket.io/?EIO=4&transport=websocket`
+    `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
+  );
+
+  await waitFor(socket, "open");
+
+  socket.send("2probe");
+
+  const { data } = await waitFor(socket, "message");
+
+  expect(data).to.eql("3probe");
+
+  return socket;
+}
+
+// the heartbeat packet sent by the client, which is valid at any time
+const HEARTBEAT_PACKET = config.eio === 3 ? "2" : "3";
+
+function expectCorsHeaders(response) {
+  expect(response.headers.get("access-control-allow-origin")).to.eql(
+    config.corsOrigin
   );
-  socket.binaryType = "arraybuffer";
+  if (config.corsCredentials) {
+    expect(response.headers.get("access-control-allow-credentials")).to.eql(
+      "true"
+    );
+  }
+}
+
+// send the given encoded packets in a single HTTP long-polling payload
+async function push(sid, packets) {
+  const response = await fetch(
+    `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+    {
+      method: "post",
+      body: joinPayload(packets, config.eio),
+    }
+  );
+
+  expect(response.status).to.eql(200);
+  expect(await response.text()).to.eql("ok");
+}
+
+// send the given Socket.IO packets in a single HTTP long-polling payload, with the configured parser
+function pushPackets(sid, packets) {
+  return push(
+    sid,
+    packets.flatMap((packet) =>
+      parser
+        .encode(packet)
+        .map((encoded) =>
+          encodePacket({ type: "message", data: encoded }, false, config.eio)
+        )
+    )
+  );
+}
+
+// the Socket.IO packets of the given packets received over HTTP long-polling, decoded with the configured parser
+function decodePackets(packets) {
+  const decoder = new parser.Decoder();
+  return packets
+    .map((packet) => decoder.add(decodePacket(packet, config.eio).data))
+    .filter(Boolean);
+}
+
+// connect to the main namespace with plain HTTP requests
+async function initLongPollingSocketIOSession() {
+  const sid = await initLongPollingSession();
+
+  if (config.protocol === 4) {
+    return sid;
+  }
 
-  await waitFor(socket, "message"); // Engine.IO handshake
+  await pushPackets(sid, [{ type: CONNECT, nsp: "/" }]);
 
-  socket.send("40");
+  const packets = [];
+
+  while (packets.length < 2) {
+    packets.push(...(await poll(sid))); // Socket.IO handshake and "auth" packet
+  }
+
+  return sid;
+}
+
+function sendConnect(socket, nsp) {
+  if (config.protocol === 5) {
+    sendPacket(socket, { type: CONNECT, nsp });
+  } else {
+    socket.send(`40${nsp},`);
+  }
+}
+
+// connect to another namespace over an existing connection
+async function connectToNamespace(socket, nsp) {
+  sendConnect(socket, nsp);
+
+  await waitForPacket(socket, `the Socket.IO handshake of ${nsp}`);
+  await waitForPacket(socket, `the "auth" packet of ${nsp}`);
+}
+
+// the CONNECT packet sent by the server, with the session ID in the payload (no payload with the 4th revision)
+function expectConnectPacket(packet, nsp) {
+  if (config.protocol === 4) {
+    expect(packet).to.eql({ type: CONNECT, nsp });
+    return;
+  }
+  expect(packet).to.have.all.keys("type", "nsp", "data");
+  expect(packet.type).to.eql(CONNECT);
+  expect(packet.nsp).to.eql(nsp);
+  expect(packet.data).to.have.all.keys("sid");
+  expect(packet.data.sid).to.be.a("string");
+}
+
+function invalidNamespaceError(nsp) {
+  return {
+    type: CONNECT_ERROR,
+    nsp,
+    data:
+      config.protocol === 5
+        ? { message: "Invalid namespace" }
+        : "Invalid namespace",
+  };
+}
 
-  await waitFor(socket, "message"); // Socket.IO handshake
-  await waitFor(socket, "message"); // "auth" packet
+// the packets grouped by namespace, in order of reception
+function groupByNamespace(packets) {
+  const groups = {};
+  for (const packet of packets) {
+    (groups[packet.nsp] ??= []).push(packet);
+  }
+  return groups;
+}
+
+// connect to the main namespace of the server with connection state recovery, with the given CONNECT payload (the
+// missed packets and the CONNECT packet sent by the server are left to the caller, as they may come in any order)
+async function initRecoveryConnection(transport, data) {
+  const socket = await initEngineIOSession(transport, config.recoveryPath);
+
+  sendPacket(socket, { type: CONNECT, data });
 
   return socket;
 }
 
+// the number of malformed packets which are generated for each category and transport
+const FUZZ_ITERATIONS = 3;
+
+// send the frames generated by the fuzzer, the binary ones being wrapped in Engine.IO "message" packets
+function sendFrames(socket, frames) {
+  for (const frame of frames) {
+    socket.send(
+      typeof frame === "string"
+        ? frame
+        : encodePacket({ type: "message", data: frame }, true, config.eio)
+    );
+  }
+}
+
+function formatFrames(frames) {
+  return frames
+    .map((frame) =>
+      typeof frame === "string" ? JSON.stringify(frame) : "<binary>"
+    )
+    .join(", ");
+}
+
+// wait for the connection to be closed, before the heartbeat mechanism could have closed it
+function waitForPromptClose(socket) {
+  return waitFor(socket, "close", {
+    description: "the close of the session",
+    timeout: config.pingTimeout,
+  });
+}
+
+before(function () {
+  // the root suite, with all the tests of the run
+  failOnLeaks(this.test.parent);
+});
+
+before(async () => {
+  if (config.learn) {
+    // make sure the expected values are known even if the handshake tests are filtered out
+    await initLongPollingSession();
+  }
+});
+
+beforeEach(() => {
+  startTranscript();
+  startTracking();
+});
+
+afterEach(async function () {
+  // the sockets left open by a failed test (see failOnLeaks()), and the HTTP long-polling sessions
+  await stopTracking();
+
+  const transcript = stopTranscript();
+  const test = this.currentTest;
+
+  if (test.state === "failed") {
+    const lines = [
+      `transcript of "${test.title}":`,
+      ...formatTranscript(transcript).split("\n"),
+    ];
+    console.log("\n" + lines.map((line) => `    ${line}`).join("\n") + "\n");
+  }
+
+  if (config.transcripts && isNodejs) {
+    await saveTranscript(config.transcripts, test, transcript);
+  }
+});
+
+// each suite is tagged with the section of the specification it verifies, which is used by the conformance report
+// (see report.js)
 describe("Engine.IO protocol", () => {
-  describe("handshake", () => {
+  describe("handshake", function () {
+    this.section = "Engine.IO handshake";
+
     describe("HTTP long-polling", () => {
       it("should successfully open a session", async () => {
         const response = await fetch(
-          `${URL}/socket.io/?EIO=4&transport=polling`
+          `${URL}?EIO=${config.eio}&transport=polling`
         );
 
         expect(response.status).to.eql(200);
 
-        const content = await response.text();
-
-        expect(content).to.startsWith("0");
+        const [handshake] = splitPayload(await response.text());
+        const value = parsePollingHandshake(handshake);
 
-        const value = JSON.parse(content.substring(1));
-
-        expect(value).to.have.all.keys(
-          "sid",
-          "upgrades",
-          "pingInterval",
-          "pingTimeout",
-          "maxPayload"
-        );
-        expect(value.sid).to.be.a("string");
-        expect(value.upgrades).to.eql(["websocket"]);
-        expect(value.pingInterval).to.eql(PING_INTERVAL);
-        expect(value.pingTimeout).to.eql(PING_TIMEOUT);
-        expect(value.maxPayload).to.eql(1000000);
+        expectHandshake(value, ["websocket"]);
       });
 
       it("should fail with an invalid 'EIO' query parameter", async () => {
-        const response = await fetch(`${URL}/socket.io/?transport=polling`);
+        const response = await fetch(`${URL}?transport=polling`);
 
         expect(response.status).to.eql(400);
 
-        const response2 = await fetch(
-          `${URL}/socket.io/?EIO=abc&transport=polling`
-        );
+        const response2 = await fetch(`${URL}?EIO=abc&transport=polling`);
 
         expect(response2.status).to.eql(400);
       });
 
       it("should fail with an invalid 'transport' query parameter", async () => {
-        const response = await fetch(`${URL}/socket.io/?EIO=4`);
+        const response = await fetch(`${URL}?EIO=${config.eio}`);
 
         expect(response.status).to.eql(400);
 
-        const response2 = await fetch(`${URL}/socket.io/?EIO=4&transport=abc`);
+        const response2 = await fetch(`${URL}?EIO=${config.eio}&transport=abc`);
 
         expect(response2.status).to.eql(400);
       });
 
       it("should fail with an invalid request method", async () => {
         const response = await fetch(
-          `${URL}/socket.io/?EIO=4&transport=polling`,
+          `${URL}?EIO=${config.eio}&transport=polling`,
           {
             method: "post",
           }
@@ -146,7 +444,7 @@ describe("Engine.IO protocol", () => {
         expect(response.status).to.eql(400);
 
         const response2 = await fetch(
-          `${URL}/socket.io/?EIO=4&transport=polling`,
+          `${URL}?EIO=${config.eio}&transport=polling`,
           {
             method: "put",
           }
@@ -159,85 +457,215 @@ describe("Engine.IO protocol", () => {
     describe("WebSocket", () => {
       it("should successfully open a session", async () => {
         const socket = new WebSocket(
-          `${WS_URL}/socket.io/?EIO=4&transport=websocket`
+          `${WS_URL}?EIO=${config.eio}&transport=websocket`
         );
 
         const { data } = await waitFor(socket, "message");
 
-        expect(data).to.startsWith("0");
+        const value = parseHandshake(data);
 
-        const value = JSON.parse(data.substring(1));
-
-        expect(value).to.have.all.keys(
-          "sid",
-          "upgrades",
-          "pingInterval",
-          "pingTimeout",
-          "maxPayload"
-        );
-        expect(value.sid).to.be.a("string");
-        expect(value.upgrades).to.eql([]);
-        expect(value.pingInterval).to.eql(PING_INTERVAL);
-        expect(value.pingTimeout).to.eql(PING_TIMEOUT);
-        expect(value.maxPayload).to.eql(1000000);
+        expectHandshake(value, []);
 
         socket.close();
       });
 
       it("should fail with an invalid 'EIO' query parameter", async () => {
-        const socket = new WebSocket(
-          `${WS_URL}/socket.io/?transport=websocket`
-        );
+        const socket = new WebSocket(`${WS_URL}?transport=websocket`);
 
         if (isNodejs) {
           socket.on("error", () => {});
         }
 
-        waitFor(socket, "close");
+        await waitFor(socket, "close");
 
-        const socket2 = new WebSocket(
-          `${WS_URL}/socket.io/?EIO=abc&transport=websocket`
-        );
+        const socket2 = new WebSocket(`${WS_URL}?EIO=abc&transport=websocket`);
 
         if (isNodejs) {
           socket2.on("error", () => {});
         }
 
-        waitFor(socket2, "close");
+        await waitFor(socket2, "close");
       });
 
       it("should fail with an invalid 'transport' query parameter", async () => {
-        const socket = new WebSocket(`${WS_URL}/socket.io/?EIO=4`);
+        const socket = new WebSocket(`${WS_URL}?EIO=${config.eio}`);
 
         if (isNodejs) {
           socket.on("error", () => {});
         }
 
-        waitFor(socket, "close");
+        await waitFor(socket, "close");
 
         const socket2 = new WebSocket(
-          `${WS_URL}/socket.io/?EIO=4&transport=abc`
+          `${WS_URL}?EIO=${config.eio}&transport=abc`
         );
 
         if (isNodejs) {
           socket2.on("error", () => {});
         }
 
-        waitFor(socket2, "close");
+        await waitFor(socket2, "close");
       });
     });
   });
 
+  describe("HTTP long-polling requests", function () {
+    this.section = "Engine.IO HTTP long-polling";
+
+    itCORS("should respond to a preflight request", async () => {
+      const response = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling`,
+        {
+          method: "options",
+          headers: {
+            Origin: ORIGIN,
+            "Access-Control-Request-Method": "POST",
+            "Access-Control-Request-Headers": "content-type",
+          },
+        }
+      );
+
+      expect(response.status).to.be.oneOf([200, 204]);
+
+      expectCorsHeaders(response);
+
+      const methods = response.headers
+        .get("access-control-allow-methods")
+        .split(",")
+        .map((method) => method.trim().toUpperCase());
+
+      expect(methods).to.include.members(["GET", "POST"]);
+
+      const headers = response.headers
+        .get("access-control-allow-headers")
+        .split(",")
+        .map((header) => header.trim().toLowerCase());
+
+      expect(headers).to.include("content-type");
+    });
+
+    itCORS("should include the CORS headers in the responses", async () => {
+      const response = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling`,
+        { headers: { Origin: ORIGIN } }
+      );
+
+      expect(response.status).to.eql(200);
+      expectCorsHeaders(response);
+
+      const [handshake] = splitPayload(await response.text());
+      const { sid } = parsePollingHandshake(handshake);
+
+      const postResponse = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+        {
+          method: "post",
+          headers: { Origin: ORIGIN },
+          body: joinPayload([HEARTBEAT_PACKET], config.eio),
+        }
+      );
+
+      expect(postResponse.status).to.eql(200);
+      expectCorsHeaders(postResponse);
+
+      const errorResponse = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling&sid=unknown`,
+        { headers: { Origin: ORIGIN } }
+      );
+
+      expect(errorResponse.status).to.eql(400);
+      expectCorsHeaders(errorResponse);
+    });
+
+    it("should use the expected content types", async () => {
+      const response = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling`
+      );
+
+      // the binary data is base64-encoded with the 3rd revision of the Engine.IO protocol ("b64=1")
+      expect(response.headers.get("content-type")).to.startWith("text/plain");
+
+      const [handshake] = splitPayload(await response.text());
+      const { sid } = parsePollingHandshake(handshake);
+
+      const postResponse = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+        {
+          method: "post",
+          body: joinPayload([HEARTBEAT_PACKET], config.eio),
+        }
+      );
+
+      expect(postResponse.headers.get("content-type")).to.startWith(
+        "text/html"
+      );
+      expect(await postResponse.text()).to.eql("ok");
+
+      const errorResponse = await fetch(
+        `${URL}?EIO=${config.eio}&transport=polling&sid=unknown`
+      );
+
+      expect(errorResponse.headers.get("content-type")).to.startWith(
+        "application/json"
+      );
+    });
+
+    it("should reject the requests with an unknown session ID", async () => {
+      for (const method of ["get", "post"]) {
+        const response = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=unknown`,
+          {
+            method,
+            body:
+              method === "post"
+                ? joinPayload([HEARTBEAT_PACKET], config.eio)
+                : undefined,
+          }
+        );
+
+        expect(response.status).to.eql(400);
+        expect(await response.json()).to.eql({
+          code: 1,
+          message: "Session ID unknown",
+        });
+      }
+    });
+
+    itCookie(
+      "should set the sticky-session cookie in the handshake response",
+      async () => {
+        const response = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling`
+        );
+
+        const [handshake] = splitPayload(await response.text());
+        const { sid } = parsePollingHandshake(handshake);
+
+        expect(response.headers.get("set-cookie")).to.startWith(
+          `${config.cookie}=${sid}`
+        );
+      }
+    );
+  });
+
   describe("heartbeat", function () {
-    this.timeout(5000);
+    this.section = "Engine.IO heartbeat";
+
+    beforeEach(function () {
+      // leave room for a few heartbeat cycles
+      this.currentTest.timeout(
+        Math.max(5000, 4 * (config.pingInterval + config.pingTimeout))
+      );
+    });
 
     describe("HTTP long-polling", () => {
-      it("should send ping/pong packets", async () => {
+      itV5("should send ping/pong packets", async () => {
         const sid = await initLongPollingSession();
+        let lastPong = performance.now();
 
         for (let i = 0; i < 3; i++) {
           const pollResponse = await fetch(
-            `${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`
+            `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
           );
 
           expect(pollResponse.status).to.eql(200);
@@ -246,8 +674,12 @@ describe("Engine.IO protocol", () => {
 
           expect(pollContent).to.eql("2");
 
+          // the next ping packet is sent pingInterval ms after the previous pong packet
+          expectDelay(performance.now() - lastPong, config.pingInterval);
+          lastPong = performance.now();
+
           const pushResponse = await fetch(
-            `${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`,
+            `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
             {
               method: "post",
               body: "3",
@@ -258,58 +690,173 @@ describe("Engine.IO protocol", () => {
         }
       });
 
+      itV4("should respond to ping packets", async () => {
+        const sid = await initLongPollingSession();
+
+        for (let i = 0; i < 3; i++) {
+          await push(sid, ["2"]);
+
+          expect(await poll(sid)).to.eql(["3"]);
+
+          await sleep(config.pingInterval);
+        }
+      });
+
       it("should close the session upon ping timeout", async () => {
+        let start = performance.now();
         const sid = await initLongPollingSession();
 
-        await sleep(PING_INTERVAL + PING_TIMEOUT);
+        if (config.eio === 4) {
+          // the ping packet is not answered
+          const pollResponse = await fetch(
+            `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+          );
+
+          expect(await pollResponse.text()).to.eql("2");
+
+          expectDelay(performance.now() - start, config.pingInterval);
+          start = performance.now();
+        }
 
+        // the pending GET request is released with a close packet
         const pollResponse = await fetch(
-          `${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
         );
 
-        expect(pollResponse.status).to.eql(400);
+        expect(splitPayload(await pollResponse.text())).to.eql(["1"]);
+
+        // with the 3rd revision, the server expects a ping packet from the client within pingInterval + pingTimeout ms
+        expectDelay(
+          performance.now() - start,
+          config.eio === 4
+            ? config.pingTimeout
+            : config.pingInterval + config.pingTimeout
+        );
+
+        const pollResponse2 = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(pollResponse2.status).to.eql(400);
+      });
+
+      itV5("should reject a pong packet sent after the timeout", async () => {
+        const sid = await initLongPollingSession();
+
+        const pollResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(await pollResponse.text()).to.eql("2");
+
+        // the session is closed pingTimeout ms later
+        const pollResponse2 = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(splitPayload(await pollResponse2.text())).to.eql(["1"]);
+
+        const pushResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+          {
+            method: "post",
+            body: "3",
+          }
+        );
+
+        expect(pushResponse.status).to.eql(400);
       });
     });
 
     describe("WebSocket", () => {
-      it("should send ping/pong packets", async () => {
+      itV5("should send ping/pong packets", async () => {
         const socket = new WebSocket(
-          `${WS_URL}/socket.io/?EIO=4&transport=websocket`
+          `${WS_URL}?EIO=${config.eio}&transport=websocket`
         );
 
         await waitFor(socket, "message"); // handshake
 
+        let lastPong = performance.now();
+
         for (let i = 0; i < 3; i++) {
           const { data } = await waitFor(socket, "message");
 
           expect(data).to.eql("2");
 
+          expectDelay(performance.now() - lastPong, config.pingInterval);
+          lastPong = performance.now();
+
           socket.send("3");
         }
 
         socket.close();
       });
 
+      itV4("should respond to ping packets", async () => {
+        const socket = new WebSocket(
+          `${WS_URL}?EIO=${config.eio}&transport=websocket`
+        );
+
+        await waitFor(socket, "message"); // handshake
+        await waitFor(socket, "message"); // Socket.IO handshake
+        await waitFor(socket, "message"); // "auth" packet
+
+        for (let i = 0; i < 3; i++) {
+          socket.send("2");
+
+          const { data } = await waitFor(socket, "message");
+
+          expect(data).to.eql("3");
+
+          await sleep(config.pingInterval);
+        }
+
+        socket.close();
+      });
+
       it("should close the session upon ping timeout", async () => {
         const socket = new WebSocket(
-          `${WS_URL}/socket.io/?EIO=4&transport=websocket`
+          `${WS_URL}?EIO=${config.eio}&transport=websocket`
         );
 
-        await waitFor(socket, "close"); // handshake
+        await waitFor(socket, "message"); // handshake
+
+        let start = performance.now();
+
+        if (config.eio === 4) {
+          // the ping packet is not answered
+          const { data } = await waitFor(socket, "message");
+
+          expect(data).to.eql("2");
+
+          expectDelay(performance.now() - start, config.pingInterval);
+          start = performance.now();
+        }
+
+        await waitFor(socket, "close");
+
+        expectDelay(
+          performance.now() - start,
+          config.eio === 4
+            ? config.pingTimeout
+            : config.pingInterval + config.pingTimeout
+        );
       });
     });
   });
 
-  describe("close", () => {
+  describe("close", function () {
+    this.section = "Engine.IO close";
+
     describe("HTTP long-polling", () => {
       it("should forcefully close the session", async () => {
         const sid = await initLongPollingSession();
 
         const [pollResponse] = await Promise.all([
-          fetch(`${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`),
-          fetch(`${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`, {
+          fetch(`${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`),
+          fetch(`${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`, {
             method: "post",
-            body: "1",
+            body: joinPayload(["1"], config.eio),
           }),
         ]);
 
@@ -317,37 +864,325 @@ describe("Engine.IO protocol", () => {
 
         const pullContent = await pollResponse.text();
 
-        expect(pullContent).to.eql("6");
+        expect(splitPayload(pullContent)).to.eql(["6"]);
 
         const pollResponse2 = await fetch(
-          `${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
         );
 
         expect(pollResponse2.status).to.eql(400);
       });
-    });
 
-    describe("WebSocket", () => {
-      it("should forcefully close the session", async () => {
-        const socket = new WebSocket(
-          `${WS_URL}/socket.io/?EIO=4&transport=websocket`
-        );
+      it("should close the session upon concurrent GET requests", async () => {
+        const sid = await initLongPollingSession();
 
-        await waitFor(socket, "message"); // handshake
+        const responses = await Promise.all([
+          fetch(`${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`),
+          fetch(`${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`),
+        ]);
+
+        expect(responses.map(({ status }) => status)).to.have.members([
+          200, 400,
+        ]);
+
+        // the pending GET request is released with a close packet
+        const pollResponse = responses.find(({ status }) => status === 200);
+
+        expect(splitPayload(await pollResponse.text())).to.eql(["1"]);
+
+        const pollResponse2 = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(pollResponse2.status).to.eql(400);
+      });
+
+      it("should reject a POST request to a closed session", async () => {
+        const sid = await initLongPollingSession();
+
+        await push(sid, ["1"]);
+
+        const pushResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+          {
+            method: "post",
+            body: joinPayload([HEARTBEAT_PACKET], config.eio),
+          }
+        );
+
+        expect(pushResponse.status).to.eql(400);
+        expect(await pushResponse.json()).to.eql({
+          code: 1,
+          message: "Session ID unknown",
+        });
+      });
+
+      it("should close the session upon an invalid packet type", async () => {
+        const sid = await initLongPollingSession();
+
+        // the status of this response is not specified
+        await fetch(`${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`, {
+          method: "post",
+          body: joinPayload(["9"], config.eio),
+        });
+
+        const pollResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(pollResponse.status).to.eql(400);
+      });
+    });
+
+    describe("WebSocket", () => {
+      it("should forcefully close the session", async () => {
+        const socket = new WebSocket(
+          `${WS_URL}?EIO=${config.eio}&transport=websocket`
+        );
+
+        await waitFor(socket, "message"); // handshake
 
         socket.send("1");
 
         await waitFor(socket, "close");
       });
+
+      it("should refuse a connection with the ID of a closed session", async () => {
+        const sid = await initLongPollingSession();
+
+        await push(sid, ["1"]);
+
+        const socket = new WebSocket(
+          `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
+        );
+
+        if (isNodejs) {
+          socket.on("error", () => {});
+        }
+
+        await waitFor(socket, "close");
+      });
+
+      it("should close the session upon an invalid packet type", async () => {
+        const socket = new WebSocket(
+          `${WS_URL}?EIO=${config.eio}&transport=websocket`
+        );
+
+        await waitFor(socket, "message"); // handshake
+
+        socket.send("9");
+
+        await waitForPromptClose(socket);
+      });
+    });
+  });
+
+  describe("payload", function () {
+    this.section = "Engine.IO payload";
+
+    describeJSON("HTTP long-polling", () => {
+      it("should accept several packets in a single request", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        await push(sid, ['42["message",1]', '42["message",2]']);
+
+        const packets = [];
+
+        while (packets.length < 2) {
+          packets.push(...(await poll(sid)));
+        }
+
+        expect(packets).to.eql([
+          '42["message-back",1]',
+          '42["message-back",2]',
+        ]);
+      });
+
+      it("should send the buffered packets in a single response", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        await push(sid, [
+          '42["message",1]',
+          '42["message",2]',
+          '42["message",3]',
+        ]);
+
+        const packets = await poll(sid);
+
+        expect(packets).to.eql([
+          '42["message-back",1]',
+          '42["message-back",2]',
+          '42["message-back",3]',
+        ]);
+      });
+
+      it("should exchange binary packets encoded in base64", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        await push(sid, [
+          '451-["message",{"_placeholder":true,"num":0}]',
+          base64Packet("AQID"),
+        ]);
+
+        const packets = await poll(sid);
+
+        expect(packets).to.eql([
+          '451-["message-back",{"_placeholder":true,"num":0}]',
+          base64Packet("AQID"), // <Buffer 01 02 03>
+        ]);
+      });
+
+      it("should handle text and binary packets in the same payload", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        await push(sid, [
+          '42["message","a"]',
+          '452-["message",{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]',
+          base64Packet("AQID"),
+          base64Packet("BAUG"),
+          '42["message","b"]',
+        ]);
+
+        const packets = await poll(sid);
+
+        expect(packets).to.eql([
+          '42["message-back","a"]',
+          '452-["message-back",{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]',
+          base64Packet("AQID"), // <Buffer 01 02 03>
+          base64Packet("BAUG"), // <Buffer 04 05 06>
+          '42["message-back","b"]',
+        ]);
+      });
+    });
+  });
+
+  // the maxPayload value is only announced by the 4th revision of the Engine.IO protocol
+  describeV5("maxPayload", function () {
+    this.section = "Engine.IO maxPayload";
+
+    // a Socket.IO EVENT packet of the given size (in bytes), for example '42["message","aaa"]'
+    function eventOfSize(size) {
+      return `42["message","${"a".repeat(size - 16)}"]`;
+    }
+
+    describeJSON("HTTP long-polling", () => {
+      it("should accept a payload at the limit", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        await push(sid, [eventOfSize(config.maxPayload)]);
+
+        const packets = await poll(sid);
+
+        expect(packets).to.have.length(1);
+        expect(packets[0]).to.eql(
+          `42["message-back","${"a".repeat(config.maxPayload - 16)}"]`
+        );
+      });
+
+      it("should close the session upon a payload above the limit", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        const pushResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+          {
+            method: "post",
+            body: eventOfSize(config.maxPayload + 1),
+          }
+        );
+
+        expect(pushResponse.status).to.eql(413);
+
+        const pollResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(pollResponse.status).to.eql(400);
+      });
+
+      it("should close the session when the binary attachments are above the limit", async () => {
+        const sid = await initLongPollingSocketIOSession();
+
+        // each attachment is base64-encoded and takes a bit more than half of the limit
+        const attachment =
+          "b" + "A".repeat(4 * Math.ceil(config.maxPayload / 8));
+
+        const pushResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`,
+          {
+            method: "post",
+            body: [
+              '452-["message",{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]',
+              attachment,
+              attachment,
+            ].join("\x1e"),
+          }
+        );
+
+        expect(pushResponse.status).to.eql(413);
+
+        const pollResponse = await fetch(
+          `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
+        );
+
+        expect(pollResponse.status).to.eql(400);
+      });
+    });
+
+    describeJSON("WebSocket", () => {
+      it("should accept a message at the limit", async () => {
+        const socket = await initSocketIOConnection();
+
+        socket.send(eventOfSize(config.maxPayload));
+
+        const packet = await waitForPacket(socket);
+
+        expect(packet.type).to.eql(EVENT);
+        expect(packet.data[0]).to.eql("message-back");
+        expect(packet.data[1]).to.have.length(config.maxPayload - 16);
+
+        socket.close();
+      });
+
+      it("should close the session upon a message above the limit", async () => {
+        const socket = await initSocketIOConnection();
+
+        socket.send(eventOfSize(config.maxPayload + 1));
+
+        await waitFor(socket, "close");
+      });
+
+      it("should accept binary attachments whose total size is above the limit", async () => {
+        const socket = await initSocketIOConnection();
+
+        // the limit applies to each WebSocket frame
+        const size = Math.ceil(config.maxPayload / 2) + 1;
+
+        sendPacket(socket, {
+          type: BINARY_EVENT,
+          data: ["message", new Uint8Array(size), new Uint8Array(size)],
+        });
+
+        const packet = await waitForPacket(socket);
+
+        expect(packet.type).to.eql(BINARY_EVENT);
+        expect(packet.data).to.have.length(3);
+        expect(packet.data[0]).to.eql("message-back");
+        expect(packet.data[1].byteLength).to.eql(size);
+        expect(packet.data[2].byteLength).to.eql(size);
+
+        socket.close();
+      });
     });
   });
 
-  describe("upgrade", () => {
+  describe("upgrade", function () {
+    this.section = "Engine.IO upgrade";
+
     it("should successfully upgrade from HTTP long-polling to WebSocket", async () => {
       const sid = await initLongPollingSession();
 
       const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket&sid=${sid}`
+        `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
       );
 
       await waitFor(socket, "open");
@@ -361,13 +1196,15 @@ describe("Engine.IO protocol", () => {
 
       // complete upgrade
       socket.send("5");
+
+      socket.close();
     });
 
     it("should ignore HTTP requests with same sid after upgrade", async () => {
       const sid = await initLongPollingSession();
 
       const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket&sid=${sid}`
+        `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
       );
 
       await waitFor(socket, "open");
@@ -375,17 +1212,19 @@ describe("Engine.IO protocol", () => {
       socket.send("5");
 
       const pollResponse = await fetch(
-        `${URL}/socket.io/?EIO=4&transport=polling&sid=${sid}`
+        `${URL}?EIO=${config.eio}&transport=polling&sid=${sid}`
       );
 
       expect(pollResponse.status).to.eql(400);
+
+      socket.close();
     });
 
     it("should ignore WebSocket connection with same sid after upgrade", async () => {
       const sid = await initLongPollingSession();
 
       const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket&sid=${sid}`
+        `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
       );
 
       await waitFor(socket, "open");
@@ -393,287 +1232,1251 @@ describe("Engine.IO protocol", () => {
       socket.send("5");
 
       const socket2 = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket&sid=${sid}`
+        `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
       );
 
       await waitFor(socket2, "close");
+
+      socket.close();
+      socket2.close();
     });
-  });
-});
 
-describe("Socket.IO protocol", () => {
-  describe("connect", () => {
-    it("should allow connection to the main namespace", async () => {
-      const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket`
-      );
+    it("should release the pending GET request with a noop packet", async () => {
+      const sid = await initLongPollingSession();
 
-      await waitFor(socket, "message"); // Engine.IO handshake
+      const released = pollUntilNoop(sid);
+      const socket = await probe(sid);
 
-      socket.send("40");
+      expect(await released).to.eql([]);
 
-      const { data } = await waitFor(socket, "message");
+      socket.send("5");
+
+      socket.close();
+    });
 
-      expect(data).to.startsWith("40");
+    it("should flush the packets buffered during the upgrade over WebSocket", async () => {
+      const sid = await initLongPollingSocketIOSession();
 
-      const handshake = JSON.parse(data.substring(2));
+      const socket = await probe(sid);
+      await pollUntilNoop(sid);
 
-      expect(handshake).to.have.all.keys("sid");
-      expect(handshake.sid).to.be.a("string");
+      // no GET request is pending, so the response is buffered until the upgrade is complete
+      await pushPackets(sid, [{ type: EVENT, data: ["message", 1] }]);
 
-      const authPacket = await waitFor(socket, "message");
+      socket.send("5");
+
+      expect(await waitForPacket(socket)).to.eql({
+        type: EVENT,
+        nsp: "/",
+        data: ["message-back", 1],
+      });
 
-      expect(authPacket.data).to.eql('42["auth",{}]');
+      socket.close();
     });
 
-    it("should allow connection to the main namespace with a payload", async () => {
-      const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket`
-      );
+    it("should neither lose nor duplicate the events emitted during the upgrade", async () => {
+      const sid = await initLongPollingSocketIOSession();
 
-      await waitFor(socket, "message"); // Engine.IO handshake
+      await pushPackets(sid, [{ type: EVENT, data: ["message", 1] }]);
 
-      socket.send('40{"token":"123"}');
+      const socket = await probe(sid);
 
-      const { data } = await waitFor(socket, "message");
+      await pushPackets(sid, [{ type: EVENT, data: ["message", 2] }]);
 
-      expect(data).to.startsWith("40");
+      const received = decodePackets(await pollUntilNoop(sid));
+
+      await pushPackets(sid, [{ type: EVENT, data: ["message", 3] }]);
+
+      socket.send("5");
 
-      const handshake = JSON.parse(data.substring(2));
+      sendPacket(socket, { type: EVENT, data: ["message", 4] });
 
-      expect(handshake).to.have.all.keys("sid");
-      expect(handshake.sid).to.be.a("string");
+      if (received.length < 4) {
+        received.push(...(await waitForPackets(socket, 4 - received.length)));
+      }
 
-      const authPacket = await waitFor(socket, "message");
+      expect(received.map((packet) => packet.data)).to.eql([
+        ["message-back", 1],
+        ["message-back", 2],
+        ["message-back", 3],
+        ["message-back", 4],
+      ]);
 
-      expect(authPacket.data).to.eql('42["auth",{"token":"123"}]');
+      socket.close();
     });
 
-    it("should allow connection to a custom namespace", async () => {
+    it("should keep HTTP long-polling usable after a failed probe", async () => {
+      const sid = await initLongPollingSocketIOSession();
+
       const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket`
+        `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
       );
 
-      await waitFor(socket, "message"); // Engine.IO handshake
+      await waitFor(socket, "open");
 
-      socket.send("40/custom,");
+      // a message packet instead of the probe
+      socket.send("4hello");
 
-      const { data } = await waitFor(socket, "message");
+      await waitFor(socket, "close");
+
+      await pushPackets(sid, [{ type: EVENT, data: ["message", 1] }]);
 
-      expect(data).to.startsWith("40/custom,");
+      expect(decodePackets(await pollPackets(sid, 1))).to.eql([
+        { type: EVENT, nsp: "/", data: ["message-back", 1] },
+      ]);
+    });
+
+    it("should keep HTTP long-polling usable after an abandoned probe", async () => {
+      const sid = await initLongPollingSocketIOSession();
+
+      const socket = await probe(sid);
+
+      socket.close();
+      await waitFor(socket, "close");
+
+      await pushPackets(sid, [{ type: EVENT, data: ["message", 1] }]);
 
-      const handshake = JSON.parse(data.substring(10));
+      expect(decodePackets(await pollPackets(sid, 1))).to.eql([
+        { type: EVENT, nsp: "/", data: ["message-back", 1] },
+      ]);
 
-      expect(handshake).to.have.all.keys("sid");
-      expect(handshake.sid).to.be.a("string");
+      // the session can still be upgraded
+      const socket2 = await probe(sid);
 
-      const authPacket = await waitFor(socket, "message");
+      socket2.send("5");
 
-      expect(authPacket.data).to.eql('42/custom,["auth",{}]');
+      socket.close();
+      socket2.close();
     });
 
-    it("should allow connection to a custom namespace with a payload", async () => {
+    it("should not upgrade a WebSocket-only session", async () => {
       const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket`
+        `${WS_URL}?EIO=${config.eio}&transport=websocket`
       );
 
-      await waitFor(socket, "message"); // Engine.IO handshake
+      const { data } = await waitFor(socket, "message");
+      const { sid } = parseHandshake(data);
 
-      socket.send('40/custom,{"token":"abc"}');
+      if (config.protocol === 4) {
+        // the client is implicitly connected to the main namespace
+        await waitForPackets(socket, 2);
+      }
 
-      const { data } = await waitFor(socket, "message");
+      const socket2 = new WebSocket(
+        `${WS_URL}?EIO=${config.eio}&transport=websocket&sid=${sid}`
+      );
 
-      expect(data).to.startsWith("40/custom,");
+      await waitFor(socket2, "open");
 
-      const handshake = JSON.parse(data.substring(10));
+      socket2.send("2probe");
 
-      expect(handshake).to.have.all.keys("sid");
-      expect(handshake.sid).to.be.a("string");
+      // the server may either close the connection or answer the probe, but the session stays on its transport
+      await Promise.race([
+        waitFor(socket2, "close"),
+        waitFor(socket2, "message"),
+      ]);
 
-      const authPacket = await waitFor(socket, "message");
+      await expectHeartbeat(socket);
 
-      expect(authPacket.data).to.eql('42/custom,["auth",{"token":"abc"}]');
+      socket.close();
+      socket2.close();
     });
+  });
+});
 
-    it("should disallow connection to an unknown namespace", async () => {
-      const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket`
-      );
+describe("Socket.IO protocol", () => {
+  for (const [transport, title] of Object.entries(TRANSPORTS)) {
+    describe(title, () => {
+      describe("connect", function () {
+        this.section = "Connection to a namespace";
 
-      await waitFor(socket, "message"); // Engine.IO handshake
+        itV5("should allow connection to the main namespace", async () => {
+          const socket = await initEngineIOSession(transport);
 
-      socket.send("40/random");
+          sendPacket(socket, { type: CONNECT });
 
-      const { data } = await waitFor(socket, "message");
+          const handshake = await waitForPacket(socket);
 
-      expect(data).to.eql('44/random,{"message":"Invalid namespace"}');
-    });
+          expect(handshake).to.have.all.keys("type", "nsp", "data");
+          expect(handshake.type).to.eql(CONNECT);
+          expect(handshake.nsp).to.eql("/");
+          expect(handshake.data).to.have.all.keys("sid");
+          expect(handshake.data.sid).to.be.a("string");
 
-    it("should disallow connection with an invalid handshake", async () => {
-      const socket = new WebSocket(
-        `${WS_URL}/socket.io/?EIO=4&transport=websocket`
-      );
+          const authPacket = await waitForPacket(socket);
 
-      await waitFor(socket, "message"); // Engine.IO handshake
+          expect(authPacket).to.eql({
+            type: EVENT,
+            nsp: "/",
+            data: ["auth", {}],
+          });
 
-      socket.send("4abc");
+          socket.close();
+        });
 
-      await waitFor(socket, "close");
-    });
-  });
+        itV5(
+          "should allow connection to the main namespace with a payload",
+          async () => {
+            const socket = await initEngineIOSession(transport);
 
-  describe("disconnect", () => {
-    it("should disconnect from the main namespace", async () => {
-      const socket = await initSocketIOConnection();
+            sendPacket(socket, { type: CONNECT, data: { token: "123" } });
 
-      socket.send("41");
+            const handshake = await waitForPacket(socket);
 
-      const { data } = await waitFor(socket, "message");
+            expect(handshake.type).to.eql(CONNECT);
+            expect(handshake.nsp).to.eql("/");
+            expect(handshake.data).to.have.all.keys("sid");
+            expect(handshake.data.sid).to.be.a("string");
 
-      expect(data).to.eql("2");
-    });
+            const authPacket = await waitForPacket(socket);
 
-    it("should connect then disconnect from a custom namespace", async () => {
-      const socket = await initSocketIOConnection();
+            expect(authPacket).to.eql({
+              type: EVENT,
+              nsp: "/",
+              data: ["auth", { token: "123" }],
+            });
 
-      await waitFor(socket, "message"); // ping
+            socket.close();
+          }
+        );
 
-      socket.send("40/custom");
+        itV5("should allow connection to a custom namespace", async () => {
+          const socket = await initEngineIOSession(transport);
 
-      await waitFor(socket, "message"); // Socket.IO handshake
-      await waitFor(socket, "message"); // auth packet
+          sendPacket(socket, { type: CONNECT, nsp: "/custom" });
 
-      socket.send("41/custom");
-      socket.send('42["message","message to main namespace",1,2]');
+          const handshake = await waitForPacket(socket);
 
-      const { data } = await waitFor(socket, "message");
+          expect(handshake.type).to.eql(CONNECT);
+          expect(handshake.nsp).to.eql("/custom");
+          expect(handshake.data).to.have.all.keys("sid");
+          expect(handshake.data.sid).to.be.a("string");
 
-      expect(data).to.eql('42["message-back","message to main namespace",1,2]');
-    });
-  });
+          const authPacket = await waitForPacket(socket);
 
-  describe("acknowledgements", () => {
-    it("should emit with an ack expectation", async () => {
-      const socket = await initSocketIOConnection();
+          expect(authPacket).to.eql({
+            type: EVENT,
+            nsp: "/custom",
+            data: ["auth", {}],
+          });
 
-      socket.send('42["emit-with-ack",1,"2",{"3":[true]}]');
+          socket.close();
+        });
 
-      const { data } = await waitFor(socket, "message");
-      expect(data).to.eql('421["emit-with-ack",1,"2",{"3":[true]}]');
-      socket.send('431[1,"2",{"3":[true]}]');
+        itV5(
+          "should allow connection to a custom namespace with a payload",
+          async () => {
+            const socket = await initEngineIOSession(transport);
 
-      const { data: data2 } = await waitFor(socket, "message");
-      expect(data2).to.eql('42["emit-with-ack",1,"2",{"3":[true]}]');
-    });
+            sendPacket(socket, {
+              type: CONNECT,
+              nsp: "/custom",
+              data: { token: "abc" },
+            });
 
-    it("should emit with a binary ack expectation", async () => {
-      const socket = await initSocketIOConnection();
-      const DATA =
-        '{"_placeholder":true,"num":0},{"_placeholder":true,"num":1},"test"';
+            const handshake = await waitForPacket(socket);
 
-      socket.send(`452-["emit-with-ack",1,${DATA}]`);
-      socket.send(Uint8Array.from([1, 2, 3]));
-      socket.send(Uint8Array.from([4, 5, 6]));
+            expect(handshake.type).to.eql(CONNECT);
+            expect(handshake.nsp).to.eql("/custom");
+            expect(handshake.data).to.have.all.keys("sid");
+            expect(handshake.data.sid).to.be.a("string");
 
-      let packets = await waitForPackets(socket, 3);
-      expect(packets[0]).to.eql(`452-1["emit-with-ack",1,${DATA}]`);
-      expect(packets[1]).to.eql(Uint8Array.from([1, 2, 3]).buffer);
-      expect(packets[2]).to.eql(Uint8Array.from([4, 5, 6]).buffer);
+            const authPacket = await waitForPacket(socket);
 
-      socket.send(`462-1[1,${DATA}]`);
-      socket.send(Uint8Array.from([1, 2, 3]));
-      socket.send(Uint8Array.from([4, 5, 6]));
+            expect(authPacket).to.eql({
+              type: EVENT,
+              nsp: "/custom",
+              data: ["auth", { token: "abc" }],
+            });
 
-      packets = await waitForPackets(socket, 3);
-      expect(packets[0]).to.eql(`452-["emit-with-ack",1,${DATA}]`);
-      expect(packets[1]).to.eql(Uint8Array.from([1, 2, 3]).buffer);
-      expect(packets[2]).to.eql(Uint8Array.from([4, 5, 6]).buffer);
-    });
-  });
+            socket.close();
+          }
+        );
 
-  describe("message", () => {
-    it("should send a plain-text packet", async () => {
-      const socket = await initSocketIOConnection();
+        itV5("should disallow connection to an unknown namespace", async () => {
+          const socket = await initEngineIOSession(transport);
 
-      socket.send('42["message",1,"2",{"3":[true]}]');
+          if (config.parser === "json") {
+            // without the trailing comma
+            socket.send("40/random");
+          } else {
+            sendPacket(socket, { type: CONNECT, nsp: "/random" });
+          }
 
-      const { data } = await waitFor(socket, "message");
+          const packet = await waitForPacket(socket);
 
-      expect(data).to.eql('42["message-back",1,"2",{"3":[true]}]');
-    });
+          expect(packet).to.eql({
+            type: CONNECT_ERROR,
+            nsp: "/random",
+            data: { message: "Invalid namespace" },
+          });
 
-    it("should send a packet with binary attachments", async () => {
-      const socket = await initSocketIOConnection();
+          socket.close();
+        });
 
-      socket.send(
-        '452-["message",1,{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]'
-      );
-      socket.send(Uint8Array.from([1, 2, 3]));
-      socket.send(Uint8Array.from([4, 5, 6]));
+        itV4(
+          "should be implicitly connected to the main namespace",
+          async () => {
+            const socket = await initEngineIOSession(transport);
 
-      const packets = await waitForPackets(socket, 3);
+            const handshake = await waitForPacket(socket);
 
-      expect(packets[0]).to.eql(
-        '452-["message-back",1,{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]'
-      );
-      expect(packets[1]).to.eql(Uint8Array.from([1, 2, 3]).buffer);
-      expect(packets[2]).to.eql(Uint8Array.from([4, 5, 6]).buffer);
+            expect(handshake).to.eql({ type: CONNECT, nsp: "/" });
 
-      socket.close();
-    });
+            const authPacket = await waitForPacket(socket);
 
-    it("should send a plain-text packet with an ack", async () => {
-      const socket = await initSocketIOConnection();
+            expect(authPacket).to.eql({
+              type: EVENT,
+              nsp: "/",
+              data: ["auth", {}],
+            });
 
-      socket.send('42456["message-with-ack",1,"2",{"3":[false]}]');
+            socket.close();
+          }
+        );
 
-      const { data } = await waitFor(socket, "message");
+        itV4(
+          "should allow connection to a custom namespace with a query string",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
 
-      expect(data).to.eql('43456[1,"2",{"3":[false]}]');
-    });
+            socket.send("40/custom?token=abc,");
 
-    it("should send a packet with binary attachments and an ack", async () => {
-      const socket = await initSocketIOConnection();
+            const handshake = await waitForPacket(socket);
 
-      socket.send(
-        '452-789["message-with-ack",1,{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]'
-      );
-      socket.send(Uint8Array.from([1, 2, 3]));
-      socket.send(Uint8Array.from([4, 5, 6]));
+            expect(handshake).to.eql({ type: CONNECT, nsp: "/custom" });
 
-      const packets = await waitForPackets(socket, 3);
+            const authPacket = await waitForPacket(socket);
 
-      expect(packets[0]).to.eql(
-        '462-789[1,{"_placeholder":true,"num":0},{"_placeholder":true,"num":1}]'
-      );
-      expect(packets[1]).to.eql(Uint8Array.from([1, 2, 3]).buffer);
-      expect(packets[2]).to.eql(Uint8Array.from([4, 5, 6]).buffer);
+            expect(authPacket).to.eql({
+              type: EVENT,
+              nsp: "/custom",
+              data: ["auth", { token: "abc" }],
+            });
 
-      socket.close();
-    });
+            socket.close();
+          }
+        );
 
-    it("should close the connection upon invalid format (unknown packet type)", async () => {
-      const socket = await initSocketIOConnection();
+        itV4("should disallow connection to an unknown namespace", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          socket.send("40/random,");
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: CONNECT_ERROR,
+            nsp: "/random",
+            data: "Invalid namespace",
+          });
+
+          socket.close();
+        });
+
+        it("should multiplex several namespaces over the same connection", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          // the connection to the custom namespace and an event in the main namespace are sent at the same time
+          sendConnect(socket, "/custom");
+          sendPacket(socket, {
+            type: EVENT,
+            id: 1,
+            data: ["message-with-ack", "main"],
+          });
+
+          const packets = groupByNamespace(await waitForPackets(socket, 3));
+
+          expect(packets["/"]).to.eql([
+            { type: ACK, nsp: "/", id: 1, data: ["main"] },
+          ]);
+          expect(packets["/custom"]).to.have.length(2);
+          expectConnectPacket(packets["/custom"][0], "/custom");
+          expect(packets["/custom"][1]).to.eql({
+            type: EVENT,
+            nsp: "/custom",
+            data: ["auth", {}],
+          });
+
+          // interleaved events
+          for (let i = 2; i <= 4; i++) {
+            for (const nsp of ["/", "/custom"]) {
+              sendPacket(socket, {
+                type: EVENT,
+                nsp,
+                id: i,
+                data: ["message-with-ack", nsp, i],
+              });
+            }
+          }
 
-      socket.send("4abc");
+          const acks = await waitForPackets(socket, 6);
 
-      await waitFor(socket, "close");
-    });
+          for (const nsp of ["/", "/custom"]) {
+            expect(groupByNamespace(acks)[nsp]).to.eql(
+              [2, 3, 4].map((i) => ({ type: ACK, nsp, id: i, data: [nsp, i] }))
+            );
+          }
 
-    it("should close the connection upon invalid format (invalid payload format)", async () => {
-      const socket = await initSocketIOConnection();
+          socket.close();
+        });
 
-      socket.send("42{}");
+        itV5("should not parse a query string in the namespace", async () => {
+          const socket = await initEngineIOSession(transport);
 
-      await waitFor(socket, "close");
+          // the auth payload is sent in the CONNECT packet since the 5th revision of the protocol
+          sendPacket(socket, { type: CONNECT, nsp: "/custom?token=abc" });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql(invalidNamespaceError("/custom?token=abc"));
+
+          socket.close();
+        });
+
+        it("should close the connection upon a CONNECT packet for an already connected namespace", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendConnect(socket, "/custom");
+
+          await waitFor(socket, "close");
+        });
+
+        it("should allow reconnection to a namespace after disconnection", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendConnect(socket, "/custom");
+
+          const handshake = await waitForPacket(socket);
+          await waitForPacket(socket); // auth packet
+
+          sendPacket(socket, { type: DISCONNECT, nsp: "/custom" });
+
+          // the packets are handled in order, so the round trip on the main namespace ensures that the disconnection has
+          // been handled before the new CONNECT packet is sent
+          sendPacket(socket, { type: EVENT, nsp: "/", data: ["message", 1] });
+
+          const messageBack = await waitForPacket(socket);
+
+          expect(messageBack.data).to.eql(["message-back", 1]);
+
+          sendConnect(socket, "/custom");
+
+          const handshake2 = await waitForPacket(socket);
+
+          expectConnectPacket(handshake2, "/custom");
+
+          if (config.protocol === 5) {
+            // a new Socket.IO session
+            expect(handshake2.data.sid).to.not.eql(handshake.data.sid);
+          }
+
+          const authPacket = await waitForPacket(socket);
+
+          expect(authPacket).to.eql({
+            type: EVENT,
+            nsp: "/custom",
+            data: ["auth", {}],
+          });
+
+          socket.close();
+        });
+
+        itDynamic(
+          "should allow connection to a dynamic namespace",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            sendConnect(socket, "/dynamic-101");
+
+            const handshake = await waitForPacket(socket);
+
+            expectConnectPacket(handshake, "/dynamic-101");
+
+            const authPacket = await waitForPacket(socket);
+
+            expect(authPacket).to.eql({
+              type: EVENT,
+              nsp: "/dynamic-101",
+              data: ["auth", {}],
+            });
+
+            socket.close();
+          }
+        );
+
+        itDynamic(
+          "should disallow connection to a namespace which does not match the dynamic namespaces",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            sendConnect(socket, "/dynamic-abc");
+
+            const packet = await waitForPacket(socket);
+
+            expect(packet).to.eql(invalidNamespaceError("/dynamic-abc"));
+
+            socket.close();
+          }
+        );
+
+        itJSON(
+          "should disallow connection with an invalid handshake",
+          async () => {
+            const socket = await initEngineIOSession(transport);
+
+            socket.send("4abc");
+
+            await waitFor(socket, "close");
+          }
+        );
+      });
+
+      describe("disconnect", function () {
+        this.section = "Disconnection from a namespace";
+
+        itKeepSession("should disconnect from the main namespace", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, { type: DISCONNECT });
+
+          await expectHeartbeat(socket);
+
+          socket.close();
+        });
+
+        itCloseOnLastNamespace(
+          "should close the session once disconnected from the last namespace",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            sendPacket(socket, { type: DISCONNECT });
+
+            await waitForPromptClose(socket);
+          }
+        );
+
+        it("should connect then disconnect from a custom namespace", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await expectHeartbeat(socket);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, { type: DISCONNECT, nsp: "/custom" });
+          sendPacket(socket, {
+            type: EVENT,
+            data: ["message", "message to main namespace", 1, 2],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: EVENT,
+            nsp: "/",
+            data: ["message-back", "message to main namespace", 1, 2],
+          });
+
+          socket.close();
+        });
+
+        itKeepSession(
+          "should be disconnected from the main namespace by the server",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            sendPacket(socket, { type: EVENT, data: ["server-disconnect"] });
+
+            expect(await waitForPacket(socket)).to.eql({
+              type: DISCONNECT,
+              nsp: "/",
+            });
+
+            await expectHeartbeat(socket);
+
+            socket.close();
+          }
+        );
+
+        itCloseOnLastNamespace(
+          "should close the session once disconnected from the last namespace by the server",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            sendPacket(socket, { type: EVENT, data: ["server-disconnect"] });
+
+            // the DISCONNECT packet is sent before the session is closed
+            expect(await waitForPacket(socket)).to.eql({
+              type: DISCONNECT,
+              nsp: "/",
+            });
+
+            await waitForPromptClose(socket);
+          }
+        );
+
+        it("should be disconnected from a custom namespace by the server", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, {
+            type: EVENT,
+            nsp: "/custom",
+            data: ["server-disconnect"],
+          });
+
+          expect(await waitForPacket(socket)).to.eql({
+            type: DISCONNECT,
+            nsp: "/custom",
+          });
+
+          // the main namespace is still connected
+          sendPacket(socket, { type: EVENT, data: ["message", 1] });
+
+          expect(await waitForPacket(socket)).to.eql({
+            type: EVENT,
+            nsp: "/",
+            data: ["message-back", 1],
+          });
+
+          socket.close();
+        });
+
+        it("should be disconnected from all namespaces by the server", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, {
+            type: EVENT,
+            nsp: "/custom",
+            data: ["server-disconnect-all"],
+          });
+
+          // one DISCONNECT packet per namespace, before the session is closed
+          const packets = await waitForPackets(socket, 2);
+
+          expect(packets).to.have.deep.members([
+            { type: DISCONNECT, nsp: "/" },
+            { type: DISCONNECT, nsp: "/custom" },
+          ]);
+
+          await waitForPromptClose(socket);
+        });
+
+        it("should be disconnected when the server closes the session", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, { type: EVENT, data: ["server-close"] });
+
+          await waitForPromptClose(socket);
+        });
+      });
+
+      describeRecovery("connection state recovery", function () {
+        this.section = "Connection state recovery";
+
+        it("should include a private session ID in the CONNECT packet", async () => {
+          const socket = await initRecoveryConnection(transport);
+
+          const handshake = await waitForPacket(socket);
+
+          expect(handshake.type).to.eql(CONNECT);
+          expect(handshake.data).to.have.all.keys("sid", "pid");
+          expect(handshake.data.pid).to.be.a("string");
+          expect(handshake.data.pid).to.not.eql(handshake.data.sid);
+
+          socket.close();
+        });
+
+        it("should append an offset to the events", async () => {
+          const socket = await initRecoveryConnection(transport);
+
+          await waitForPacket(socket); // Socket.IO handshake
+
+          sendPacket(socket, { type: EVENT, data: ["broadcast", 1] });
+
+          const { data } = await waitForPacket(socket);
+
+          expect(data).to.have.length(3);
+          expect(data.slice(0, 2)).to.eql(["broadcast", 1]);
+          expect(data[2]).to.be.a("string");
+
+          socket.close();
+        });
+
+        it("should replay the missed packets and preserve the session ID upon reconnection", async () => {
+          const socket = await initRecoveryConnection(transport);
+
+          const { sid, pid } = (await waitForPacket(socket)).data;
+
+          sendPacket(socket, { type: EVENT, data: ["broadcast", 1] });
+
+          const offset = (await waitForPacket(socket)).data.pop();
+
+          // drop the transport, without disconnecting from the namespace
+          socket.close();
+          await waitFor(socket, "close");
+
+          const otherSocket = await initRecoveryConnection(transport);
+
+          await waitForPacket(otherSocket); // Socket.IO handshake
+
+          sendPacket(otherSocket, { type: EVENT, data: ["broadcast", 2] });
+          sendPacket(otherSocket, { type: EVENT, data: ["broadcast", 3] });
+
+          await waitForPackets(otherSocket, 2);
+
+          const newSocket = await initRecoveryConnection(transport, {
+            pid,
+            offset,
+          });
+
+          const packets = await waitForPackets(newSocket, 3);
+          const handshake = packets.find((packet) => packet.type === CONNECT);
+
+          expect(handshake.data.sid).to.eql(sid);
+
+          const missedPackets = packets
+            .filter((packet) => packet.type === EVENT)
+            .map((packet) => packet.data.slice(0, -1));
+
+          expect(missedPackets).to.eql([
+            ["broadcast", 2],
+            ["broadcast", 3],
+          ]);
+
+          otherSocket.close();
+          newSocket.close();
+        });
+
+        it("should create a new session if the private session ID is unknown", async () => {
+          const socket = await initRecoveryConnection(transport);
+
+          const { sid } = (await waitForPacket(socket)).data;
+
+          sendPacket(socket, { type: EVENT, data: ["broadcast", 1] });
+
+          const offset = (await waitForPacket(socket)).data.pop();
+
+          const newSocket = await initRecoveryConnection(transport, {
+            pid: "unknown",
+            offset,
+          });
+
+          const handshake = await waitForPacket(newSocket);
+
+          expect(handshake.type).to.eql(CONNECT);
+          expect(handshake.data).to.have.all.keys("sid", "pid");
+          expect(handshake.data.sid).to.not.eql(sid);
+
+          socket.close();
+          newSocket.close();
+        });
+
+        it("should not restore the session after a disconnection from the namespace", async () => {
+          const socket = await initRecoveryConnection(transport);
+
+          const { sid, pid } = (await waitForPacket(socket)).data;
+
+          sendPacket(socket, { type: EVENT, data: ["broadcast", 1] });
+
+          const offset = (await waitForPacket(socket)).data.pop();
+
+          sendPacket(socket, { type: DISCONNECT });
+
+          await expectHeartbeat(socket);
+
+          const newSocket = await initRecoveryConnection(transport, {
+            pid,
+            offset,
+          });
+
+          const handshake = await waitForPacket(newSocket);
+
+          expect(handshake.type).to.eql(CONNECT);
+          expect(handshake.data.sid).to.not.eql(sid);
+
+          socket.close();
+          newSocket.close();
+        });
+      });
+
+      describe("acknowledgements", function () {
+        this.section = "Acknowledgement";
+
+        it("should emit with an ack expectation", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, {
+            type: EVENT,
+            data: ["emit-with-ack", 1, "2", { 3: [true] }],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: EVENT,
+            nsp: "/",
+            id: 1,
+            data: ["emit-with-ack", 1, "2", { 3: [true] }],
+          });
+
+          sendPacket(socket, {
+            type: ACK,
+            id: 1,
+            data: [1, "2", { 3: [true] }],
+          });
+
+          const packet2 = await waitForPacket(socket);
+
+          expect(packet2).to.eql({
+            type: EVENT,
+            nsp: "/",
+            data: ["emit-with-ack", 1, "2", { 3: [true] }],
+          });
+
+          socket.close();
+        });
+
+        it("should emit with a binary ack expectation", async () => {
+          const socket = await initSocketIOConnection(transport);
+          const BINARY_DATA = [
+            Uint8Array.from([1, 2, 3]).buffer,
+            Uint8Array.from([4, 5, 6]).buffer,
+            "test",
+          ];
+
+          sendPacket(socket, {
+            type: BINARY_EVENT,
+            data: ["emit-with-ack", 1, ...BINARY_DATA],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: BINARY_EVENT,
+            nsp: "/",
+            id: 1,
+            data: ["emit-with-ack", 1, ...BINARY_DATA],
+          });
+
+          sendPacket(socket, {
+            type: BINARY_ACK,
+            id: 1,
+            data: [1, ...BINARY_DATA],
+          });
+
+          const packet2 = await waitForPacket(socket);
+
+          expect(packet2).to.eql({
+            type: BINARY_EVENT,
+            nsp: "/",
+            data: ["emit-with-ack", 1, ...BINARY_DATA],
+          });
+
+          socket.close();
+        });
+
+        it("should match the acknowledgements answered out of order", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          for (const i of [1, 2, 3]) {
+            sendPacket(socket, { type: EVENT, data: ["emit-with-ack", i] });
+          }
+
+          const events = await waitForPackets(socket, 3);
+
+          expect(events.map((packet) => packet.data)).to.eql([
+            ["emit-with-ack", 1],
+            ["emit-with-ack", 2],
+            ["emit-with-ack", 3],
+          ]);
+          // all three acknowledgements are pending at the same time
+          expect(new Set(events.map((packet) => packet.id)).size).to.eql(3);
+
+          for (const packet of [...events].reverse()) {
+            sendPacket(socket, {
+              type: ACK,
+              id: packet.id,
+              data: [`ack-${packet.data[1]}`],
+            });
+          }
+
+          const echoes = await waitForPackets(socket, 3);
+
+          expect(echoes).to.eql([
+            { type: EVENT, nsp: "/", data: ["emit-with-ack", "ack-3"] },
+            { type: EVENT, nsp: "/", data: ["emit-with-ack", "ack-2"] },
+            { type: EVENT, nsp: "/", data: ["emit-with-ack", "ack-1"] },
+          ]);
+
+          socket.close();
+        });
+
+        it("should acknowledge several pending events", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          for (const id of [7, 3, 5]) {
+            sendPacket(socket, {
+              type: EVENT,
+              id,
+              data: ["message-with-ack", id],
+            });
+          }
+
+          const packets = await waitForPackets(socket, 3);
+
+          expect(packets).to.eql([
+            { type: ACK, nsp: "/", id: 7, data: [7] },
+            { type: ACK, nsp: "/", id: 3, data: [3] },
+            { type: ACK, nsp: "/", id: 5, data: [5] },
+          ]);
+
+          socket.close();
+        });
+
+        it("should acknowledge events with the same id in different namespaces", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, {
+            type: EVENT,
+            nsp: "/custom",
+            id: 1,
+            data: ["message-with-ack", "custom"],
+          });
+          sendPacket(socket, {
+            type: EVENT,
+            id: 1,
+            data: ["message-with-ack", "main"],
+          });
+
+          const packets = await waitForPackets(socket, 2);
+
+          expect(packets).to.eql([
+            { type: ACK, nsp: "/custom", id: 1, data: ["custom"] },
+            { type: ACK, nsp: "/", id: 1, data: ["main"] },
+          ]);
+
+          socket.close();
+        });
+
+        it("should match the acknowledgements with the namespace of the event", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, { type: EVENT, data: ["emit-with-ack", "main"] });
+          const mainEvent = await waitForPacket(socket);
+
+          sendPacket(socket, {
+            type: EVENT,
+            nsp: "/custom",
+            data: ["emit-with-ack", "custom"],
+          });
+          const customEvent = await waitForPacket(socket);
+
+          expect(mainEvent.nsp).to.eql("/");
+          expect(customEvent.nsp).to.eql("/custom");
+
+          sendPacket(socket, {
+            type: ACK,
+            nsp: "/custom",
+            id: customEvent.id,
+            data: ["custom ack"],
+          });
+          sendPacket(socket, {
+            type: ACK,
+            id: mainEvent.id,
+            data: ["main ack"],
+          });
+
+          const echoes = await waitForPackets(socket, 2);
+
+          expect(echoes).to.eql([
+            {
+              type: EVENT,
+              nsp: "/custom",
+              data: ["emit-with-ack", "custom ack"],
+            },
+            { type: EVENT, nsp: "/", data: ["emit-with-ack", "main ack"] },
+          ]);
+
+          socket.close();
+        });
+
+        it("should ignore an acknowledgement with an unknown id", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, { type: ACK, id: 999, data: ["unknown"] });
+          sendPacket(socket, { type: EVENT, data: ["message", "still open"] });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: EVENT,
+            nsp: "/",
+            data: ["message-back", "still open"],
+          });
+
+          socket.close();
+        });
+
+        it("should ignore a duplicate acknowledgement", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, { type: EVENT, data: ["emit-with-ack", 1] });
+
+          const { id } = await waitForPacket(socket);
+
+          sendPacket(socket, { type: ACK, id, data: ["first"] });
+          sendPacket(socket, { type: ACK, id, data: ["second"] });
+          sendPacket(socket, { type: EVENT, data: ["message", "done"] });
+
+          const packets = await waitForPackets(socket, 2);
+
+          expect(packets).to.eql([
+            { type: EVENT, nsp: "/", data: ["emit-with-ack", "first"] },
+            { type: EVENT, nsp: "/", data: ["message-back", "done"] },
+          ]);
+
+          socket.close();
+        });
+
+        it("should ignore an acknowledgement sent after the namespace was disconnected", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          await connectToNamespace(socket, "/custom");
+
+          sendPacket(socket, {
+            type: EVENT,
+            nsp: "/custom",
+            data: ["emit-with-ack", 1],
+          });
+
+          const { id } = await waitForPacket(socket);
+
+          sendPacket(socket, { type: DISCONNECT, nsp: "/custom" });
+
+          // a round trip on the main namespace, so that the disconnection is handled before the new CONNECT packet
+          sendPacket(socket, { type: EVENT, nsp: "/", data: ["message", 1] });
+
+          await waitForPacket(socket); // "message-back" packet
+
+          await connectToNamespace(socket, "/custom");
+
+          // the pending acknowledgements were discarded upon disconnection
+          sendPacket(socket, { type: ACK, nsp: "/custom", id, data: ["late"] });
+          sendPacket(socket, {
+            type: EVENT,
+            nsp: "/custom",
+            id: 2,
+            data: ["message-with-ack", "still open"],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: ACK,
+            nsp: "/custom",
+            id: 2,
+            data: ["still open"],
+          });
+
+          socket.close();
+        });
+      });
+
+      describe("message", function () {
+        this.section = "Sending and receiving data";
+
+        it("should send a plain-text packet", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, {
+            type: EVENT,
+            data: ["message", 1, "2", { 3: [true] }],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: EVENT,
+            nsp: "/",
+            data: ["message-back", 1, "2", { 3: [true] }],
+          });
+
+          socket.close();
+        });
+
+        it("should send a packet with binary attachments", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, {
+            type: BINARY_EVENT,
+            data: [
+              "message",
+              1,
+              Uint8Array.from([1, 2, 3]),
+              Uint8Array.from([4, 5, 6]),
+            ],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: BINARY_EVENT,
+            nsp: "/",
+            data: [
+              "message-back",
+              1,
+              Uint8Array.from([1, 2, 3]).buffer,
+              Uint8Array.from([4, 5, 6]).buffer,
+            ],
+          });
+
+          socket.close();
+        });
+
+        it("should send a plain-text packet with an ack", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, {
+            type: EVENT,
+            id: 456,
+            data: ["message-with-ack", 1, "2", { 3: [false] }],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: ACK,
+            nsp: "/",
+            id: 456,
+            data: [1, "2", { 3: [false] }],
+          });
+
+          socket.close();
+        });
+
+        it("should send a packet with binary attachments and an ack", async () => {
+          const socket = await initSocketIOConnection(transport);
+
+          sendPacket(socket, {
+            type: BINARY_EVENT,
+            id: 789,
+            data: [
+              "message-with-ack",
+              1,
+              Uint8Array.from([1, 2, 3]),
+              Uint8Array.from([4, 5, 6]),
+            ],
+          });
+
+          const packet = await waitForPacket(socket);
+
+          expect(packet).to.eql({
+            type: BINARY_ACK,
+            nsp: "/",
+            id: 789,
+            data: [
+              1,
+              Uint8Array.from([1, 2, 3]).buffer,
+              Uint8Array.from([4, 5, 6]).buffer,
+            ],
+          });
+
+          socket.close();
+        });
+
+        itJSON(
+          "should close the connection upon invalid format (unknown packet type)",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            socket.send("4abc");
+
+            await waitFor(socket, "close");
+          }
+        );
+
+        itJSON(
+          "should close the connection upon invalid format (invalid payload format)",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            socket.send("42{}");
+
+            await waitFor(socket, "close");
+          }
+        );
+
+        itJSON(
+          "should close the connection upon invalid format (invalid ack id)",
+          async () => {
+            const socket = await initSocketIOConnection(transport);
+
+            socket.send('42abc["message-with-ack",1,"2",{"3":[false]}]');
+
+            await waitFor(socket, "close");
+          }
+        );
+      });
     });
+  }
+});
 
-    it("should close the connection upon invalid format (invalid ack id)", async () => {
-      const socket = await initSocketIOConnection();
+// the malformed packets are generated from the grammar of the default parser
+describeJSON(`Malformed packets (seed: ${config.seed})`, function () {
+  this.section = "Packet encoding";
 
-      socket.send('42abc["message-with-ack",1,"2",{"3":[false]}]');
+  for (const transport of ["websocket", "polling"]) {
+    if (!(transport in TRANSPORTS)) {
+      continue;
+    }
 
-      await waitFor(socket, "close");
+    describe(TRANSPORTS[transport], () => {
+      Object.entries(MALFORMED_PACKETS).forEach(([category, generate], i) => {
+        it(`should close the session upon ${category}`, async () => {
+          // the generated packets only depend on the seed and the category, so that a failure can be reproduced
+          const random = createRandom(config.seed + i);
+
+          for (let j = 0; j < FUZZ_ITERATIONS; j++) {
+            const frames = generate(random);
+
+            try {
+              const socket = await initSocketIOConnection(transport);
+
+              sendFrames(socket, frames);
+
+              await waitForPromptClose(socket);
+
+              if (transport === "polling") {
+                const pollResponse = await fetch(
+                  `${URL}?EIO=${config.eio}&transport=polling&sid=${socket.sid}`
+                );
+
+                expect(pollResponse.status).to.eql(400);
+              }
+            } catch (e) {
+              e.message += ` (seed: ${config.seed}, frames: ${formatFrames(
+                frames
+              )})`;
+              throw e;
+            }
+          }
+        });
+      });
     });
-  });
+  }
 });
+
+// the declarative scenarios of the scenarios/ directory (see scenarios.js)
+describeScenarios(await loadScenarios());
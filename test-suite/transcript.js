@@ -0,0 +1,256 @@
+// Wire transcripts: every HTTP request and WebSocket frame exchanged during a test is recorded, so that the whole
+// exchange can be printed (in the style of the "Sample session" section of the Readme) when the test fails, or saved as
+// a JSON file for later replay.
+
+import { isBinary, toBase64, toBytes } from "./codec.js";
+
+// the transcript of the test being run, if any
+let current = null;
+
+// the printed frames and bodies are truncated, the JSON files contain the full content
+const MAX_PRINTED_LENGTH = 200;
+const MAX_PRINTED_BYTES = 16;
+
+class Transcript {
+  entries = [];
+  start = Date.now();
+  counters = new Map();
+
+  // "request n°1", "WebSocket n°1", ...
+  label(kind) {
+    const count = (this.counters.get(kind) ?? 0) + 1;
+    this.counters.set(kind, count);
+    return `${kind} n°${count}`;
+  }
+
+  record(entry) {
+    const recorded = { time: Date.now() - this.start, ...entry };
+    this.entries.push(recorded);
+    return recorded;
+  }
+}
+
+/**
+ * Starts the transcript of a new test. The connections which are opened afterwards are recorded in this transcript.
+ */
+export function startTranscript() {
+  current = new Transcript();
+  return current;
+}
+
+export function stopTranscript() {
+  const transcript = current;
+  current = null;
+  return transcript;
+}
+
+/**
+ * Wraps the fetch() function, so that the requests and the responses are recorded.
+ */
+export function recordFetch(baseFetch) {
+  return async (url, init = {}) => {
+    const transcript = current;
+
+    if (!transcript) {
+      return baseFetch(url, init);
+    }
+
+    const label = transcript.label("request");
+
+    transcript.record({
+      type: "request",
+      label,
+      method: (init.method ?? "GET").toUpperCase(),
+      url: String(url),
+      body: init.body,
+    });
+
+    let response;
+    try {
+      response = await baseFetch(url, init);
+    } catch (e) {
+      transcript.record({ type: "error", label, message: e.message });
+      throw e;
+    }
+
+    const entry = transcript.record({
+      type: "response",
+      label,
+      status: response.status,
+      statusText: response.statusText,
+      contentType: response.headers.get("content-type"),
+    });
+
+    // the body is read from a copy of the response, without delaying the caller
+    response
+      .clone()
+      .text()
+      .then(
+        (body) => (entry.body = body),
+        () => {}
+      );
+
+    return response;
+  };
+}
+
+/**
+ * Extends the WebSocket class, so that the handshake and the frames are recorded.
+ */
+export function recordWebSocket(BaseWebSocket) {
+  return class extends BaseWebSocket {
+    #transcript = current;
+    #label = current?.label("WebSocket");
+
+    constructor(url, ...args) {
+      super(url, ...args);
+
+      const transcript = this.#transcript;
+
+      if (!transcript) {
+        return;
+      }
+
+      const label = this.#label;
+
+      transcript.record({ type: "request", label, method: "GET", url });
+
+      this.addEventListener("open", () => {
+        transcript.record({
+          type: "response",
+          label,
+          status: 101,
+          statusText: "Switching Protocols",
+        });
+      });
+
+      this.addEventListener("message", (event) => {
+        transcript.record({
+          type: "frame",
+          label,
+          direction: "received",
+          data: event.data,
+        });
+      });
+
+      this.addEventListener("close", (event) => {
+        transcript.record({ type: "close", label, code: event.code });
+      });
+    }
+
+    send(data) {
+      this.#transcript?.record({
+        type: "frame",
+        label: this.#label,
+        direction: "sent",
+        data,
+      });
+      super.send(data);
+    }
+  };
+}
+
+function printable(data) {
+  if (data === undefined || data === null) {
+    return "";
+  }
+  if (isBinary(data)) {
+    const bytes = toBytes(data);
+    const hex = [...bytes.subarray(0, MAX_PRINTED_BYTES)]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join(" ");
+    return bytes.length > MAX_PRINTED_BYTES
+      ? `<binary ${hex} ... (${bytes.length} bytes)>`
+      : `<binary ${hex}>`;
+  }
+  const str = String(data).replaceAll("\x1e", "\\x1e");
+  return str.length > MAX_PRINTED_LENGTH
+    ? `${str.substring(0, MAX_PRINTED_LENGTH)}... (${str.length} characters)`
+    : str;
+}
+
+function path(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+function formatEntry(entry) {
+  switch (entry.type) {
+    case "request":
+      return [`${entry.method} ${path(entry.url)}`, printable(entry.body)];
+    case "response":
+      return [
+        `< HTTP/1.1 ${entry.status} ${entry.statusText}`,
+        entry.contentType ? `< Content-Type: ${entry.contentType}` : "",
+        printable(entry.body),
+      ];
+    case "frame":
+      return [
+        `${entry.direction === "sent" ? ">" : "<"} ${printable(entry.data)}`,
+      ];
+    case "close":
+      return [`closed (${entry.code})`];
+    case "error":
+      return [`error: ${entry.message}`];
+  }
+}
+
+/**
+ * Formats a transcript, one line per request, response or frame:
+ *
+ * +0ms    [request n°1] GET /socket.io/?EIO=4&transport=polling
+ * +3ms    [request n°1] < HTTP/1.1 200 OK
+ *                       < Content-Type: text/plain; charset=UTF-8
+ *                       0{"sid":"lv_VI97HAXpY6yYWAAAC","upgrades":["websocket"],...}
+ * +10ms   [WebSocket n°1] > 40
+ */
+export function formatTranscript(transcript) {
+  const lines = [];
+
+  for (const entry of transcript.entries) {
+    const prefix = `+${entry.time}ms`.padEnd(8) + `[${entry.label}] `;
+    const [first, ...rest] = formatEntry(entry).filter((line) => line !== "");
+
+    lines.push(prefix + first);
+    for (const line of rest) {
+      lines.push(" ".repeat(prefix.length) + line);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Saves a transcript in the given directory, in a JSON file named after the test (Node.js only).
+ */
+export async function saveTranscript(directory, test, transcript) {
+  const { mkdir, writeFile } = await import("node:fs/promises");
+  const title = test.fullTitle();
+  const filename = title.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+
+  await mkdir(directory, { recursive: true });
+  await writeFile(
+    `${directory}/${filename}.json`,
+    serializeTranscript(transcript, { title, state: test.state })
+  );
+}
+
+/**
+ * Serializes a transcript in JSON, the binary data being encoded in base64 (`{ "base64": "AQID" }`).
+ */
+export function serializeTranscript(transcript, metadata = {}) {
+  return JSON.stringify(
+    { ...metadata, entries: transcript.entries },
+    (key, value) => {
+      if (isBinary(value)) {
+        return { base64: toBase64(value) };
+      }
+      // Node.js Buffer, once converted by its toJSON() method
+      if (value?.type === "Buffer" && Array.isArray(value.data)) {
+        return { base64: toBase64(Uint8Array.from(value.data)) };
+      }
+      return value;
+    },
+    2
+  );
+}
@@ -0,0 +1,431 @@
+import { config } from "./config.js";
+import {
+  decodePacket,
+  decodePayload,
+  encodePacket,
+  joinPayload,
+} from "./codec.js";
+import { track, untrack } from "./resources.js";
+
+// the URL of the Engine.IO server at the given path (see the "path" and "recovery-path" options)
+function engineURL(path, protocol = "http") {
+  return `${config.url}${path}`.replace("http", protocol);
+}
+
+const TRANSPORT_TITLES = {
+  websocket: "WebSocket",
+  polling: "HTTP long-polling",
+  upgrade: "HTTP long-polling upgraded to WebSocket",
+};
+
+// the transports over which the Socket.IO tests are run (see the "transport" option)
+export const TRANSPORTS = Object.fromEntries(
+  config.transports.map((transport) => [transport, TRANSPORT_TITLES[transport]])
+);
+
+// the messages received over HTTP long-polling before the upgrade, which are delivered first by the WebSocket connection
+const pendingMessages = new WeakMap();
+
+// a single iterator per socket, as each iterator of the Node.js WebSocket wrapper adds its own listeners to the stream
+const iterators = new WeakMap();
+// the read in progress on the iterator of each socket, which is resumed by the next read if a wait gave up on it
+const pendingReads = new WeakMap();
+
+// an iterator over the "message" events, for the sockets without an `iterator()` method (like in the browser), the
+// messages received between two reads being buffered
+async function* eventMessages(socket) {
+  const queue = [];
+  let notify = () => {};
+
+  socket.addEventListener("message", ({ data }) => {
+    queue.push(data);
+    notify();
+  });
+  socket.addEventListener("close", () => notify());
+
+  while (true) {
+    if (queue.length > 0) {
+      yield queue.shift();
+    } else if (socket.readyState === 3) {
+      return;
+    } else {
+      await new Promise((resolve) => (notify = resolve));
+    }
+  }
+}
+
+/**
+ * Reads the next message of the socket, through its single iterator.
+ *
+ * @param wait {Function} applied to the read (like withTimeout()), which is kept for the next call if it rejects
+ * @return {Promise<{ value, done: boolean }>}
+ */
+async function nextMessage(socket, wait = (read) => read) {
+  if (!iterators.has(socket)) {
+    iterators.set(
+      socket,
+      typeof socket.iterator === "function"
+        ? socket.iterator()
+        : eventMessages(socket)
+    );
+  }
+  if (!pendingReads.has(socket)) {
+    pendingReads.set(socket, iterators.get(socket).next());
+  }
+
+  const read = pendingReads.get(socket);
+  const result = await wait(read);
+
+  if (pendingReads.get(socket) === read) {
+    pendingReads.delete(socket);
+  }
+  return result;
+}
+
+// the delay after which a wait fails (see the "wait-timeout" option), which defaults to a bit more than the longest
+// expected wait, the detection of a missed heartbeat
+function waitTimeout() {
+  return (
+    config.waitTimeout ??
+    (config.pingInterval ?? 0) + (config.pingTimeout ?? 0) + 500
+  );
+}
+
+const EVENT_DESCRIPTIONS = {
+  open: "the opening of the connection",
+  message: "a message",
+  close: "the close of the connection",
+};
+
+/**
+ * Rejects if the promise is not settled in time.
+ *
+ * @param description {string} what is awaited, included in the error message
+ * @param timeout {number} the delay, which defaults to the "wait-timeout" option
+ */
+export function withTimeout(promise, description, timeout = waitTimeout()) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new Error(
+            `timeout of ${timeout}ms exceeded while waiting for ${description}`
+          )
+        ),
+      timeout
+    );
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Waits for the next event of the given type.
+ *
+ * @param opts.description {string} what is awaited (like "the Socket.IO handshake"), included in the error message
+ * @param opts.timeout {number} the delay, which defaults to the "wait-timeout" option
+ */
+export async function waitFor(socket, eventType, opts = {}) {
+  // the session may have been closed before the call (CLOSED being 3 for both WebSocket and PollingSocket)
+  if (eventType == "close" && socket.readyState === 3) {
+    return;
+  }
+
+  if (eventType == "message" && pendingMessages.get(socket)?.length) {
+    return { data: pendingMessages.get(socket).shift() };
+  }
+
+  const description = `${
+    opts.description ??
+    EVENT_DESCRIPTIONS[eventType] ??
+    `a "${eventType}" event`
+  } (${socket.url})`;
+
+  if (eventType == "message") {
+    const { value: data } = await nextMessage(socket, (read) =>
+      withTimeout(read, description, opts.timeout)
+    );
+    return { data };
+  }
+
+  let listener;
+
+  return withTimeout(
+    new Promise((resolve) => {
+      listener = resolve;
+      socket.addEventListener(eventType, listener, { once: true });
+    }),
+    description,
+    opts.timeout
+  ).finally(() => socket.removeEventListener(eventType, listener));
+}
+
+/**
+ * Iterates over the messages received by the socket, without the overhead of one waitFor() call per message (which
+ * matters for long-lived connections), the iterator of the socket being shared with waitFor().
+ */
+export async function* messages(socket) {
+  // one at a time, as the caller may stop iterating before the end of the pending messages
+  const pending = pendingMessages.get(socket) ?? [];
+  while (pending.length > 0) {
+    yield pending.shift();
+  }
+
+  while (true) {
+    const { value, done } = await nextMessage(socket);
+    if (done) {
+      return;
+    }
+    yield value;
+  }
+}
+
+/**
+ * An HTTP long-polling client which exposes the same interface as a WebSocket connection: each Engine.IO packet
+ * received from the server is emitted as a "message" event (in its WebSocket form, i.e. with binary data as an
+ * ArrayBuffer) and each call to `send()` is transmitted as a packet in a POST request.
+ *
+ * The messages can also be consumed with `iterator()`, like the WebSocket wrapper used in Node.js.
+ *
+ * The "noop" packets are handled transparently.
+ *
+ * With the 3rd revision of the Engine.IO protocol, binary data is base64-encoded in the payloads (`b64=1`).
+ */
+export class PollingSocket extends EventTarget {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  readyState = PollingSocket.CONNECTING;
+  binaryType = "arraybuffer";
+  sid = null;
+
+  #messages = [];
+  #waiting = [];
+  #sendBuffer = [];
+  #sending = null;
+  #polling = null;
+  #paused = false;
+
+  constructor(url, protocol = 4) {
+    super();
+    this.url = protocol === 3 ? `${url}&b64=1` : url;
+    this.protocol = protocol;
+    this.#polling = this.#poll();
+    track(this);
+  }
+
+  async #poll() {
+    while (this.readyState <= PollingSocket.OPEN) {
+      let payload;
+      try {
+        const response = await fetch(
+          this.sid ? `${this.url}&sid=${this.sid}` : this.url
+        );
+        if (response.status !== 200) {
+          return this.#onClose();
+        }
+        payload = await response.text();
+      } catch (e) {
+        return this.#onClose();
+      }
+
+      if (this.readyState > PollingSocket.OPEN) {
+        return;
+      }
+
+      for (const packet of decodePayload(payload, this.protocol)) {
+        switch (packet.type) {
+          case "open":
+            this.sid = JSON.parse(packet.data).sid;
+            this.readyState = PollingSocket.OPEN;
+            this.dispatchEvent(new Event("open"));
+            this.#onMessage(encodePacket(packet, true, this.protocol));
+            this.#flush();
+            break;
+          case "close":
+            return this.#onClose();
+          case "error":
+            this.dispatchEvent(new Event("error"));
+            return this.#onClose();
+          case "noop":
+            break;
+          default:
+            this.#onMessage(encodePacket(packet, true, this.protocol));
+        }
+      }
+
+      if (this.#paused) {
+        return;
+      }
+    }
+  }
+
+  #onMessage(data) {
+    const resolve = this.#waiting.shift();
+    if (resolve) {
+      resolve({ value: data, done: false });
+    } else {
+      this.#messages.push(data);
+    }
+    this.dispatchEvent(new MessageEvent("message", { data }));
+  }
+
+  #onClose() {
+    if (this.readyState === PollingSocket.CLOSED) {
+      return;
+    }
+    this.readyState = PollingSocket.CLOSED;
+    for (const resolve of this.#waiting.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+    this.dispatchEvent(new Event("close"));
+  }
+
+  send(data) {
+    this.#sendBuffer.push(
+      typeof data === "string"
+        ? data
+        : encodePacket(decodePacket(data, this.protocol), false, this.protocol)
+    );
+    this.#flush();
+  }
+
+  #flush() {
+    if (this.#sending || !this.sid || this.#sendBuffer.length === 0) {
+      return;
+    }
+
+    const body = joinPayload(this.#sendBuffer, this.protocol);
+    this.#sendBuffer = [];
+
+    this.#sending = fetch(`${this.url}&sid=${this.sid}`, {
+      method: "post",
+      body,
+    })
+      .then((response) => {
+        if (response.status !== 200) {
+          this.#onClose();
+        }
+        return response.text();
+      })
+      .catch(() => this.#onClose())
+      .finally(() => {
+        this.#sending = null;
+        this.#flush();
+      });
+  }
+
+  /**
+   * Waits for the pending requests to complete and stops polling, so that the session can be upgraded.
+   */
+  async pause() {
+    this.#paused = true;
+    await this.#polling;
+    while (this.#sending) {
+      await this.#sending;
+    }
+  }
+
+  /**
+   * Returns the messages which were received but not consumed yet.
+   */
+  takeMessages() {
+    return this.#messages.splice(0);
+  }
+
+  close() {
+    if (this.readyState >= PollingSocket.CLOSING) {
+      return;
+    }
+    this.readyState = PollingSocket.CLOSING;
+    this.#sendBuffer.push("1");
+    this.#flush();
+    Promise.resolve(this.#sending).then(() => this.#onClose());
+  }
+
+  async *iterator() {
+    while (true) {
+      if (this.#messages.length > 0) {
+        yield this.#messages.shift();
+      } else if (this.readyState === PollingSocket.CLOSED) {
+        return;
+      } else {
+        const { value, done } = await new Promise((resolve) =>
+          this.#waiting.push(resolve)
+        );
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    }
+  }
+}
+
+async function upgrade(pollingSocket, path) {
+  const socket = new WebSocket(
+    `${engineURL(path, "ws")}?EIO=${config.eio}&transport=websocket&sid=${
+      pollingSocket.sid
+    }`
+  );
+  socket.binaryType = "arraybuffer";
+
+  await waitFor(socket, "open");
+
+  socket.send("2probe");
+
+  const { data } = await waitFor(socket, "message", {
+    description: "the probe response",
+  });
+
+  if (data !== "3probe") {
+    throw new Error(`unexpected probe response: ${data}`);
+  }
+
+  await pollingSocket.pause();
+
+  // the session is now handled by the WebSocket connection
+  untrack(pollingSocket);
+
+  pendingMessages.set(socket, pollingSocket.takeMessages());
+
+  socket.send("5");
+
+  return socket;
+}
+
+/**
+ * Opens an Engine.IO session.
+ *
+ * @param transport {"websocket"|"polling"|"upgrade"} one of the keys of TRANSPORTS
+ * @param path {string} the path of the server, which defaults to the "path" option
+ * @return {Promise<{ socket, handshake: string }>} the socket, and the content of the Engine.IO "open" packet
+ */
+export async function openSession(transport, path = config.path) {
+  if (transport === "websocket") {
+    const socket = new WebSocket(
+      `${engineURL(path, "ws")}?EIO=${config.eio}&transport=websocket`
+    );
+    socket.binaryType = "arraybuffer";
+    const { data } = await waitFor(socket, "message", {
+      description: "the Engine.IO handshake",
+    });
+    return { socket, handshake: data };
+  }
+
+  const socket = new PollingSocket(
+    `${engineURL(path)}?EIO=${config.eio}&transport=polling`,
+    config.eio
+  );
+  const { data } = await waitFor(socket, "message", {
+    description: "the Engine.IO handshake",
+  });
+
+  if (transport === "polling") {
+    return { socket, handshake: data };
+  }
+
+  return { socket: await upgrade(socket, path), handshake: data };
+}
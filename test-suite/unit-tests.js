@@ -0,0 +1,202 @@
+// The unit tests of the tooling of the test suite, which do not need a server.
+//
+// mocha unit-tests.js
+import "./node-imports.js";
+import { readFlags } from "./config.js";
+import { isBinary, toBytes } from "./codec.js";
+import { Decoder, encode, pack, unpack } from "./msgpack.js";
+import { loadScenarios } from "./scenarios.js";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const { expect } = chai;
+
+describe("Command-line flags", () => {
+  it("should read the value of a flag in the same argument", () => {
+    expect(readFlags(["--ping-interval=300", "--learn=false"])).to.eql(
+      new Map([
+        ["ping-interval", "300"],
+        ["learn", "false"],
+      ])
+    );
+  });
+
+  it("should read the value of a flag in the next argument", () => {
+    expect(readFlags(["--ping-interval", "300", "--url", "x"])).to.eql(
+      new Map([
+        ["ping-interval", "300"],
+        ["url", "x"],
+      ])
+    );
+  });
+
+  it("should not take the next argument as the value of a boolean flag", () => {
+    expect(
+      readFlags(["--learn", "test-suite.js", "--dynamic-namespaces"])
+    ).to.eql(
+      new Map([
+        ["learn", ""],
+        ["dynamic-namespaces", ""],
+      ])
+    );
+  });
+
+  it("should ignore the other arguments", () => {
+    expect(readFlags(["test-suite.js", "-r", "--ping-timeout=200"])).to.eql(
+      new Map([["ping-timeout", "200"]])
+    );
+  });
+});
+
+// "01 02 03" => the bytes
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16));
+}
+
+// binary values are compared as arrays of bytes
+function normalize(value) {
+  if (isBinary(value)) {
+    return [...toBytes(value)];
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, normalize(item)])
+    );
+  }
+  return value;
+}
+
+const bytes = Uint8Array.from([1, 2, 3]);
+
+// the output of the notepack.io package (version 2.2, used by socket.io-msgpack-parser), and the value decoded from it
+// when it differs from the encoded one
+const MSGPACK_VECTORS = [
+  ["positive fixint", 127, "7f"],
+  ["uint 8", 200, "ccc8"],
+  ["uint 16", 300, "cd012c"],
+  ["uint 32", 70000, "ce00011170"],
+  ["uint 64", 2 ** 60, "cf1000000000000000"],
+  ["negative fixint", -32, "e0"],
+  ["int 8", -33, "d0df"],
+  ["int 16", -129, "d1ff7f"],
+  ["int 32", -32769, "d2ffff7fff"],
+  ["int 64", -2147483649, "d3ffffffff7fffffff"],
+  ["float 64", 1.5, "cb3ff8000000000000"],
+  ["negative float 64", -1.5, "cbbff8000000000000"],
+  ["nil", null, "c0"],
+  ["undefined (fixext 1)", undefined, "d40000"],
+  ["fixstr", "abc", "a3616263"],
+  ["str 8", "x".repeat(32), "d920" + "78".repeat(32)],
+  ["str 16", "y".repeat(256), "da0100" + "79".repeat(256)],
+  ["fixarray", [1, undefined], "9201d40000"],
+  ["array 16", [...Array(16).keys()], "dc0010000102030405060708090a0b0c0d0e0f"],
+  ["fixmap", { a: 1 }, "81a16101"],
+  [
+    "map 16",
+    Object.fromEntries(
+      [...Array(16).keys()].map((i) => [`k${i.toString(16)}`, i])
+    ),
+    "de0010a26b3000a26b3101a26b3202a26b3303a26b3404a26b3505a26b3606a26b3707" +
+      "a26b3808a26b3909a26b610aa26b620ba26b630ca26b640da26b650ea26b660f",
+  ],
+  // like with JSON, the undefined values are omitted by the decoder
+  [
+    "map with an undefined value",
+    { a: undefined, b: 1 },
+    "82a161d40000a16201",
+    { b: 1 },
+  ],
+  ["bin 8 (Buffer)", Buffer.from(bytes), "c403010203"],
+  ["ext 8 with type 0 (ArrayBuffer)", bytes.slice().buffer, "c70300010203"],
+  ["ext 8 with type 0 (Uint8Array)", bytes, "c70300010203"],
+];
+
+describe("msgpack parser", () => {
+  for (const [title, value, hex, decoded = value] of MSGPACK_VECTORS) {
+    describe(title, () => {
+      it("should be encoded like with notepack.io", () => {
+        expect(Buffer.from(pack(value)).toString("hex")).to.eql(hex);
+      });
+
+      it("should be decoded like with notepack.io", () => {
+        expect(normalize(unpack(fromHex(hex)))).to.eql(normalize(decoded));
+      });
+    });
+  }
+
+  it("should decode a float 32", () => {
+    expect(unpack(fromHex("ca3e800000"))).to.eql(0.25);
+  });
+
+  it("should encode the packets like socket.io-msgpack-parser", () => {
+    const hex = (packet) => Buffer.from(encode(packet)[0]).toString("hex");
+
+    expect(hex({ type: 0, nsp: "/", data: { token: "123" } })).to.eql(
+      "83a47479706500a36e7370a12fa46461746181a5746f6b656ea3313233"
+    );
+    expect(
+      hex({ type: 2, nsp: "/", data: ["message", Buffer.from(bytes)] })
+    ).to.eql(
+      "83a47479706502a36e7370a12fa46461746192a76d657373616765c403010203"
+    );
+    expect(
+      hex({ type: 2, nsp: "/custom", id: 1, data: ["message", bytes.buffer] })
+    ).to.eql(
+      "84a47479706502a36e7370a72f637573746f6da2696401a46461746192a76d657373616765c70300010203"
+    );
+  });
+
+  it("should decode the packets of socket.io-msgpack-parser", () => {
+    const packet = new Decoder().add(
+      fromHex(
+        "84a47479706502a36e7370a72f637573746f6da2696401a46461746192a76d657373616765c70300010203"
+      )
+    );
+
+    expect(normalize(packet)).to.eql({
+      type: 2,
+      nsp: "/custom",
+      id: 1,
+      data: ["message", [1, 2, 3]],
+    });
+  });
+});
+
+describe("Scenario files", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), "scenarios-"));
+    await writeFile(
+      join(directory, "echo.json"),
+      JSON.stringify({ title: "echo", steps: [{ send: "40" }] })
+    );
+    await writeFile(join(directory, ".gitkeep"), "");
+  });
+
+  afterEach(() => rm(directory, { recursive: true }));
+
+  it("should load the JSON files and ignore the hidden ones", async () => {
+    const scenarios = await loadScenarios(pathToFileURL(directory + "/"));
+
+    expect(scenarios.map(({ file }) => file)).to.eql(["echo.json"]);
+  });
+
+  it("should reject the files in another format", async () => {
+    await writeFile(join(directory, "echo.yaml"), "title: echo\n");
+
+    try {
+      await loadScenarios(pathToFileURL(directory + "/"));
+      expect.fail("the YAML file was accepted");
+    } catch (e) {
+      expect(e.message).to.eql(
+        "unsupported scenario file echo.yaml: only JSON files are supported"
+      );
+    }
+  });
+});